@@ -0,0 +1,59 @@
+// =============================================================================
+// files.js - Browser File Download / Upload Helpers
+// =============================================================================
+
+/**
+ * Triggers a browser download of in-memory data
+ * @param {string} filename - Suggested file name
+ * @param {BlobPart|Blob} data - String, ArrayBuffer, typed array or Blob
+ * @param {string} [mime] - MIME type (ignored when data is already a Blob)
+ */
+export function downloadBlob(filename, data, mime = 'application/octet-stream') {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Downloads a value as pretty-printed JSON
+ */
+export function downloadJSON(filename, value) {
+  downloadBlob(filename, JSON.stringify(value, null, 2), 'application/json');
+}
+
+/**
+ * Opens a file picker and resolves with the chosen file's text (null if cancelled)
+ * @param {string} [accept] - Accept filter, e.g. '.json,application/json'
+ * @returns {Promise<string|null>}
+ */
+export function pickTextFile(accept = '.json,application/json') {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.style.display = 'none';
+    input.addEventListener('change', async () => {
+      const file = input.files?.[0];
+      input.remove();
+      if (!file) return resolve(null);
+      try {
+        resolve(await file.text());
+      } catch {
+        resolve(null);
+      }
+    });
+    // Closing the dialog without a file fires 'cancel' instead of 'change'
+    input.addEventListener('cancel', () => {
+      input.remove();
+      resolve(null);
+    });
+    document.body.appendChild(input);
+    input.click();
+  });
+}
@@ -0,0 +1,87 @@
+// =============================================================================
+// labels.js - Screen-Space Labels Anchored to 3D Points
+// =============================================================================
+
+import * as THREE from 'three';
+
+/**
+ * Creates a DOM layer over the canvas holding labels that follow 3D points.
+ * Positions are refreshed after every main render, once camera matrices are current.
+ *
+ * @param {{ camera: THREE.Camera, renderer: THREE.WebGLRenderer }} params
+ */
+export function createLabelLayer({ camera, renderer }) {
+  const layer = document.createElement('div');
+  layer.style.position = 'absolute';
+  layer.style.left = '0';
+  layer.style.top = '0';
+  layer.style.width = '100%';
+  layer.style.height = '100%';
+  layer.style.pointerEvents = 'none';
+  layer.style.overflow = 'hidden';
+  layer.style.zIndex = '150';
+  (renderer.domElement.parentElement || document.body).appendChild(layer);
+
+  const labels = new Set();
+  const tmp = new THREE.Vector3();
+
+  /**
+   * Adds a label anchored at a world position
+   * @param {THREE.Vector3} position - World anchor (copied)
+   * @param {string} text - Label text
+   * @param {{ color?: string }} [opts]
+   */
+  function add(position, text, { color = '#ffd166' } = {}) {
+    const el = document.createElement('div');
+    el.style.position = 'absolute';
+    el.style.transform = 'translate(-50%, -130%)';
+    el.style.whiteSpace = 'pre';
+    el.style.font = '11px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace';
+    el.style.color = '#fff';
+    el.style.background = 'rgba(20,20,20,0.85)';
+    el.style.border = `1px solid ${color}`;
+    el.style.borderRadius = '4px';
+    el.style.padding = '2px 6px';
+    el.textContent = text;
+    layer.appendChild(el);
+
+    const label = {
+      el,
+      position: position.clone(),
+      visible: true,
+      setText(t) { el.textContent = t; },
+      setPosition(p) { label.position.copy(p); },
+      remove() {
+        labels.delete(label);
+        el.remove();
+      }
+    };
+    labels.add(label);
+    updateOne(label);
+    return label;
+  }
+
+  /**
+   * Projects a label to screen space; hides it behind the camera or off-screen
+   */
+  function updateOne(label) {
+    const w = layer.clientWidth, h = layer.clientHeight;
+    tmp.copy(label.position).project(camera);
+    const onScreen = label.visible && tmp.z > -1 && tmp.z < 1 &&
+      tmp.x >= -1.1 && tmp.x <= 1.1 && tmp.y >= -1.1 && tmp.y <= 1.1;
+    label.el.style.display = onScreen ? 'block' : 'none';
+    if (!onScreen) return;
+    label.el.style.left = `${(tmp.x * 0.5 + 0.5) * w}px`;
+    label.el.style.top = `${(-tmp.y * 0.5 + 0.5) * h}px`;
+  }
+
+  function update() {
+    labels.forEach(updateOne);
+  }
+
+  try {
+    window.__registerPostRender?.(update);
+  } catch {}
+
+  return { layer, add, update };
+}
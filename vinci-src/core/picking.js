@@ -0,0 +1,127 @@
+// =============================================================================
+// picking.js - Canvas Click Handling & Raycasting
+// =============================================================================
+
+import * as THREE from 'three';
+
+// Maximum pointer travel (px) for a press/release to count as a click, not an orbit drag
+const CLICK_TOLERANCE = 5;
+
+/**
+ * Creates a picker bound to the main canvas.
+ * Interactive tools (probe, measure, ...) claim the canvas through setActiveTool
+ * so only one of them reacts to clicks at a time.
+ *
+ * @param {{ camera: THREE.Camera, renderer: THREE.WebGLRenderer }} params
+ */
+export function createPicker({ camera, renderer }) {
+  const raycaster = new THREE.Raycaster();
+  const el = renderer.domElement;
+  const clickHandlers = [];
+  const toolListeners = [];
+  let activeTool = null;
+  let down = null;
+
+  /**
+   * Converts a pointer event to normalized device coordinates
+   */
+  function toNDC(ev) {
+    const rect = el.getBoundingClientRect();
+    return new THREE.Vector2(
+      ((ev.clientX - rect.left) / rect.width) * 2 - 1,
+      -((ev.clientY - rect.top) / rect.height) * 2 + 1
+    );
+  }
+
+  el.addEventListener('pointerdown', (ev) => {
+    if (ev.button !== 0) return;
+    down = { x: ev.clientX, y: ev.clientY };
+  });
+
+  el.addEventListener('pointerup', (ev) => {
+    if (ev.button !== 0 || !down) return;
+    const moved = Math.hypot(ev.clientX - down.x, ev.clientY - down.y);
+    down = null;
+    if (moved > CLICK_TOLERANCE) return;
+    const ndc = toNDC(ev);
+    for (const h of clickHandlers) {
+      if (h.tool && h.tool !== activeTool) continue;
+      try { h.fn(ndc, ev); } catch (e) { console.warn('Pick handler failed', e); }
+    }
+  });
+
+  /**
+   * Keeps only hits on the kept side of every clipping plane
+   */
+  function filterClipped(hits, clipPlanes) {
+    if (!clipPlanes?.length) return hits;
+    return hits.filter(h => clipPlanes.every(p => p.distanceToPoint(h.point) >= 0));
+  }
+
+  /**
+   * Raycasts the currently displayed level of each visible THREE.LOD
+   * (LOD.raycast does not descend into glTF scene groups). See-through parts
+   * (Ghost / X-ray / Wireframe) are skipped so clicks reach what is visible behind them.
+   *
+   * @param {THREE.Vector2} ndc
+   * @param {Object<string, { mesh: THREE.LOD, seeThrough?: boolean }>} models - loadedModels map
+   * @param {THREE.Plane[]} [clipPlanes]
+   * @param {{ includeSeeThrough?: boolean }} [options] - Also hit see-through parts
+   * @returns {{ point: THREE.Vector3, distance: number, object: THREE.Object3D, folder: string, face: Object } | null}
+   */
+  function pickCAD(ndc, models, clipPlanes, { includeSeeThrough = false } = {}) {
+    raycaster.setFromCamera(ndc, camera);
+    let hits = [];
+    Object.entries(models || {}).forEach(([folder, entry]) => {
+      const lod = entry?.mesh;
+      if (!lod?.visible || (entry.seeThrough && !includeSeeThrough)) return;
+      const levels = lod.levels || [];
+      const idx = lod.isLOD ? lod.getCurrentLevel() : 0;
+      const target = levels[idx]?.object || lod;
+      raycaster.intersectObject(target, true).forEach(h => {
+        h.folder = h.object?.userData?.__folder || folder;
+        hits.push(h);
+      });
+    });
+    hits = filterClipped(hits, clipPlanes);
+    hits.sort((a, b) => a.distance - b.distance);
+    return hits[0] || null;
+  }
+
+  /**
+   * Raycasts arbitrary objects (e.g., isosurface meshes), skipping hidden ones
+   */
+  function pickObjects(ndc, objects, clipPlanes) {
+    raycaster.setFromCamera(ndc, camera);
+    const visible = (objects || []).filter(o => {
+      let n = o;
+      while (n) { if (!n.visible) return false; n = n.parent; }
+      return true;
+    });
+    const hits = filterClipped(raycaster.intersectObjects(visible, true), clipPlanes);
+    hits.sort((a, b) => a.distance - b.distance);
+    return hits[0] || null;
+  }
+
+  return {
+    raycaster,
+    toNDC,
+    pickCAD,
+    pickObjects,
+    /**
+     * Registers a click handler; when a tool name is given it only fires while that tool is active
+     */
+    onClick(fn, tool = null) {
+      if (typeof fn === 'function') clickHandlers.push({ fn, tool });
+    },
+    setActiveTool(name) {
+      if (activeTool === name) return;
+      activeTool = name;
+      toolListeners.forEach(fn => { try { fn(activeTool); } catch {} });
+    },
+    getActiveTool: () => activeTool,
+    onToolChange(fn) {
+      if (typeof fn === 'function') toolListeners.push(fn);
+    }
+  };
+}
@@ -3,6 +3,8 @@
 // =============================================================================
 
 const updaters = [];
+const preRenderHooks = [];
+const postRenderHooks = [];
 
 // Register a function to be called each frame
 export function registerUpdater(fn){
@@ -16,3 +18,31 @@ export function runUpdaters(ctx){
     try { fn && fn(ctx); } catch {}
   }
 }
+
+// Register a function to be called right before the main render,
+// after per-frame visibility (LOD, culling, occlusion) has been resolved
+export function registerPreRender(fn){
+  if (typeof fn === 'function') preRenderHooks.push(fn);
+}
+
+// Run all registered pre-render hooks with provided context
+export function runPreRender(ctx){
+  for (let i=0; i<preRenderHooks.length; i++){
+    const fn = preRenderHooks[i];
+    try { fn && fn(ctx); } catch {}
+  }
+}
+
+// Register a function to be called right after the main render
+// (e.g., inset viewports drawn on top of the 3D view)
+export function registerPostRender(fn){
+  if (typeof fn === 'function') postRenderHooks.push(fn);
+}
+
+// Run all registered post-render hooks with provided context
+export function runPostRender(ctx){
+  for (let i=0; i<postRenderHooks.length; i++){
+    const fn = postRenderHooks[i];
+    try { fn && fn(ctx); } catch {}
+  }
+}
@@ -0,0 +1,164 @@
+// =============================================================================
+// view_state.js - Shareable View State in the URL Hash
+// =============================================================================
+//
+// Subsystems register named sections ({ get, set }); the combined state is
+// JSON-encoded as base64url into "#view=..." so a copied link reopens the same
+// camera, visibility, heat map settings and isosurfaces. Sections are restored
+// in registration order and may be async (e.g. regenerating isosurfaces).
+
+const HASH_KEY = 'view';
+const SYNC_INTERVAL = 500;   // Minimum time (ms) between URL updates
+
+/**
+ * Encodes a value as base64url JSON (UTF-8 safe)
+ */
+function encodeState(value) {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  let bin = '';
+  bytes.forEach(b => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes base64url JSON; returns null when malformed
+ */
+function decodeState(text) {
+  try {
+    const b64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const bin = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+    const bytes = Uint8Array.from(bin, c => c.charCodeAt(0));
+    const value = JSON.parse(new TextDecoder().decode(bytes));
+    return value && typeof value === 'object' ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rounds a number to a fixed count of significant digits (keeps links short)
+ */
+export function roundSig(v, digits = 6) {
+  return Number.isFinite(v) ? Number(v.toPrecision(digits)) : v;
+}
+
+/**
+ * Creates the view state registry
+ * @returns {Object} { register, capture, restore, readHash, writeHash, getLink, startSync, setSyncEnabled }
+ */
+export function createViewState() {
+  const sections = new Map();   // key -> { get, set }
+  let lastEncoded = '';
+  let syncEnabled = false;
+  let restoring = false;
+  let lastSync = 0;
+
+  /**
+   * Registers (or replaces) a section of the view state
+   * @param {string} key - Short section name used in the encoded state
+   * @param {{ get: Function, set: Function }} section - get() returns plain JSON; set(value) may be async
+   */
+  function register(key, { get, set }) {
+    if (typeof get === 'function' && typeof set === 'function') sections.set(key, { get, set });
+  }
+
+  /**
+   * Collects every section's current value
+   */
+  function capture() {
+    const out = {};
+    sections.forEach(({ get }, key) => {
+      try {
+        const v = get();
+        if (v !== undefined && v !== null) out[key] = v;
+      } catch {}
+    });
+    return out;
+  }
+
+  /**
+   * Applies a captured state, section by section in registration order
+   * @param {Object} state - Result of capture() (unknown keys are ignored)
+   */
+  async function restore(state) {
+    if (!state) return;
+    restoring = true;
+    try {
+      for (const [key, { set }] of sections) {
+        if (!(key in state)) continue;
+        try {
+          await set(state[key]);
+        } catch (e) {
+          console.warn(`View state: failed to restore '${key}'`, e);
+        }
+      }
+    } finally {
+      restoring = false;
+    }
+  }
+
+  /**
+   * Parses the state from the current URL hash, or null if none
+   */
+  function readHash() {
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    const text = params.get(HASH_KEY);
+    return text ? decodeState(text) : null;
+  }
+
+  /**
+   * Writes the current state into the URL hash without adding history entries
+   */
+  function writeHash() {
+    const encoded = encodeState(capture());
+    if (encoded === lastEncoded) return;
+    lastEncoded = encoded;
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    params.set(HASH_KEY, encoded);
+    history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${params}`);
+  }
+
+  /**
+   * Full link reproducing the current view
+   */
+  function getLink() {
+    writeHash();
+    return window.location.href;
+  }
+
+  /**
+   * Keeps the URL hash in sync each frame (throttled) and restores when a new link is pasted
+   */
+  function startSync() {
+    try {
+      window.__registerUpdater?.(({ time }) => {
+        if (!syncEnabled || restoring) return;
+        const now = time ?? performance.now();
+        if (now - lastSync < SYNC_INTERVAL) return;
+        lastSync = now;
+        writeHash();
+      });
+    } catch {}
+
+    window.addEventListener('hashchange', () => {
+      const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+      if (params.get(HASH_KEY) === lastEncoded) return;
+      const state = readHash();
+      if (state) restore(state);
+    });
+  }
+
+  return {
+    register,
+    capture,
+    restore,
+    readHash,
+    writeHash,
+    getLink,
+    startSync,
+    /** Enables URL updates (kept off until the startup view has been restored) */
+    setSyncEnabled(v) {
+      syncEnabled = !!v;
+    }
+  };
+}
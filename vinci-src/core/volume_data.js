@@ -0,0 +1,276 @@
+// =============================================================================
+// volume_data.js - Shared Temperature Volume Service
+// =============================================================================
+//
+// Loads volume.json + volume.bin once per session and hands the same typed
+// volume object to every consumer (raymarch, isosurfaces, slices, probe, ...).
+// Download progress is reported to listeners (the viewer's loading screen).
+//
+// Transient datasets list their frames in volume.json:
+//   "timesteps": [{ "file": "volume_000.bin", "time": 0.0 }, ...], "timeUnit": "s"
+// All frames share dims / spacing / origin / dtype / valueRange; a timestep may
+// override valueRange for its own integer normalization. Frames are cached in
+// a small LRU window and neighbours are prefetched around the current frame.
+
+import { VOLUME_DTYPES } from './volume_sampling.js';
+
+/**
+ * @typedef {Object} Volume
+ * @property {number[]} dims - Grid size [X, Y, Z]
+ * @property {number[]} spacing - Voxel spacing in meters
+ * @property {number[]} origin - World position of voxel (0, 0, 0)
+ * @property {number[]} valueRange - [min, max] in °C mapped from the stored range
+ * @property {string} dtype - Stored sample type ('uint8' | 'uint16' | 'float32')
+ * @property {Uint8Array|Uint16Array|Float32Array} data - Little-endian samples, x fastest then y then z
+ * @property {number} frame - Timestep index (0 for steady-state data)
+ * @property {number} time - Simulation time of the frame (0 for steady-state data)
+ * @property {Object} meta - Raw volume.json contents
+ */
+
+/**
+ * Creates the volume data service
+ *
+ * @param {Object} params
+ * @param {string} params.basePath - Directory holding volume.json / volume.bin
+ * @param {Function} [params.fetch] - fetch implementation (defaults to window.fetch)
+ * @param {number} [params.cacheSize=4] - Frames kept in memory for time series
+ * @returns {Object} { load, get, set, isLoading, getTimesteps, getTimeUnit, getFrame, setFrame, prefetch, onChange, onProgress }
+ */
+export function createVolumeData({ basePath, fetch: fetchFn = (...args) => fetch(...args), cacheSize = 4 }) {
+  let volume = null;
+  let loadPromise = null;
+  let meta = null;
+  let timesteps = [];          // [{ file, time, valueRange? }]
+  let derivedRange = null;     // valueRange derived from frame 0 (float data without metadata range)
+  let requestedFrame = 0;      // Latest frame asked for; stale loads are not applied
+  const frameCache = new Map(); // frame index -> Promise<Volume>, in LRU order
+  const changeListeners = [];
+  const progressListeners = [];
+
+  // One cache-busting token per session: fresh data on reload, a single download per page
+  const sessionToken = Date.now();
+
+  function emitProgress(info) {
+    progressListeners.forEach(fn => { try { fn(info); } catch {} });
+  }
+
+  function emitChange() {
+    changeListeners.forEach(fn => { try { fn(volume); } catch (e) { console.warn('Volume listener failed', e); } });
+  }
+
+  /**
+   * Reads a response body, optionally reporting byte progress
+   */
+  async function readWithProgress(res, label, report) {
+    const total = Number(res.headers.get('Content-Length')) || 0;
+    if (!report || !res.body?.getReader) {
+      const buf = await res.arrayBuffer();
+      if (report) emitProgress({ stage: label, loaded: buf.byteLength, total: buf.byteLength, done: false });
+      return buf;
+    }
+
+    const reader = res.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      loaded += value.byteLength;
+      emitProgress({ stage: label, loaded, total, done: false });
+    }
+
+    const out = new Uint8Array(loaded);
+    let off = 0;
+    chunks.forEach(c => { out.set(c, off); off += c.byteLength; });
+    return out.buffer;
+  }
+
+  async function fetchMeta() {
+    if (meta) return meta;
+    emitProgress({ stage: 'volume.json', loaded: 0, total: 0, done: false });
+    const metaRes = await fetchFn(basePath + 'volume.json?v=' + sessionToken);
+    if (!metaRes.ok) throw new Error(`volume.json: HTTP ${metaRes.status}`);
+    const m = await metaRes.json();
+
+    if (!VOLUME_DTYPES[m.dtype || 'uint8']) throw new Error(`volume.json: unsupported dtype '${m.dtype}'`);
+    timesteps = Array.isArray(m.timesteps) && m.timesteps.length
+      ? m.timesteps.map((t, i) => ({
+        file: t.file,
+        time: Number.isFinite(t.time) ? t.time : i,
+        valueRange: t.valueRange
+      }))
+      : [{ file: m.file || 'volume.bin', time: 0 }];
+    meta = m;
+    return meta;
+  }
+
+  /**
+   * Downloads and decodes one timestep
+   */
+  async function fetchFrame(index, report) {
+    const step = timesteps[index];
+    const binRes = await fetchFn(basePath + step.file + '?v=' + sessionToken);
+    if (!binRes.ok) throw new Error(`${step.file}: HTTP ${binRes.status}`);
+    const buf = await readWithProgress(binRes, step.file, report);
+
+    const dtype = meta.dtype || 'uint8';
+    const info = VOLUME_DTYPES[dtype];
+    const dims = meta.dimensions || meta.dims;
+    const count = dims ? dims[0] * dims[1] * dims[2] : 0;
+    const expected = count * info.ArrayType.BYTES_PER_ELEMENT;
+    if (!count || buf.byteLength < expected) {
+      throw new Error(`${step.file}: expected ${expected} bytes (${dtype}), got ${buf.byteLength}`);
+    }
+
+    const data = new info.ArrayType(buf, 0, count);
+
+    // Float volumes carry physical values; derive the range if the metadata omits it
+    let valueRange = step.valueRange || meta.valueRange || derivedRange;
+    if (!valueRange && info.maxValue === null) {
+      let lo = Infinity, hi = -Infinity;
+      for (let i = 0; i < count; i++) {
+        const v = data[i];
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+      }
+      valueRange = derivedRange = [lo, hi];
+    }
+
+    return {
+      dims,
+      spacing: meta.spacing,
+      origin: meta.origin || [0, 0, 0],
+      valueRange,
+      dtype,
+      data,
+      frame: index,
+      time: step.time,
+      meta
+    };
+  }
+
+  /**
+   * Returns the cached load of a frame, starting it if needed (LRU bookkeeping)
+   */
+  function getFrameLoad(index, report = false) {
+    let p = frameCache.get(index);
+    if (p) {
+      frameCache.delete(index);
+    } else {
+      p = fetchFrame(index, report);
+      p.catch(() => frameCache.delete(index));
+    }
+    frameCache.set(index, p);
+    evictFrames(index);
+    return p;
+  }
+
+  /**
+   * Drops least recently used frames beyond the cache size (never the current one)
+   */
+  function evictFrames(keep) {
+    for (const key of frameCache.keys()) {
+      if (frameCache.size <= Math.max(1, cacheSize)) break;
+      if (key === keep || key === volume?.frame) continue;
+      frameCache.delete(key);
+    }
+  }
+
+  /**
+   * Loads the volume once; concurrent callers share the same request.
+   * Resolves to null when the files are missing or malformed.
+   * @returns {Promise<Volume|null>}
+   */
+  async function load() {
+    if (volume) return volume;
+    if (!loadPromise) {
+      loadPromise = fetchMeta()
+        .then(() => getFrameLoad(requestedFrame, true))
+        .then(vol => {
+          volume = vol;
+          emitProgress({ stage: timesteps[vol.frame].file, loaded: vol.data.byteLength, total: vol.data.byteLength, done: true });
+          emitChange();
+          prefetch(vol.frame + 1);
+          return vol;
+        })
+        .catch(e => {
+          console.warn('Failed to load volume', e);
+          emitProgress({ stage: 'volume.bin', loaded: 0, total: 0, done: true, error: e });
+          return null;
+        })
+        .finally(() => { loadPromise = null; });
+    }
+    return loadPromise;
+  }
+
+  /**
+   * Switches to another timestep. Rapid calls (scrubbing) only apply the latest.
+   * @param {number} index - Frame index, clamped to the available timesteps
+   * @returns {Promise<Volume|null>} The frame's volume, or null if superseded or failed
+   */
+  async function setFrame(index) {
+    await fetchMeta();
+    const i = Math.max(0, Math.min(timesteps.length - 1, Math.round(index)));
+    requestedFrame = i;
+    if (volume?.frame === i) return volume;
+    try {
+      const vol = await getFrameLoad(i);
+      if (requestedFrame !== i) return null;
+      volume = vol;
+      emitChange();
+      return vol;
+    } catch (e) {
+      console.warn(`Failed to load timestep ${i}`, e);
+      return null;
+    }
+  }
+
+  /**
+   * Starts loading frames in the background so playback does not stall
+   * @param {...number} indices - Frame indices (out-of-range ones are ignored)
+   */
+  function prefetch(...indices) {
+    if (!meta) return;
+    indices.forEach(i => {
+      if (i < 0 || i >= timesteps.length || frameCache.has(i)) return;
+      getFrameLoad(i).catch(() => {});
+    });
+  }
+
+  return {
+    load,
+    /** Currently loaded volume, or null */
+    get: () => volume,
+    /**
+     * Replaces the active volume (e.g. another dataset) and notifies listeners
+     * @param {Volume} vol
+     */
+    set(vol) {
+      volume = vol || null;
+      emitChange();
+    },
+    isLoading: () => !!loadPromise,
+    /** Timesteps as [{ file, time }] (a single entry for steady-state data); empty before load */
+    getTimesteps: () => timesteps.map(t => ({ file: t.file, time: t.time })),
+    getTimeUnit: () => meta?.timeUnit || 's',
+    /** Index of the displayed frame */
+    getFrame: () => volume?.frame ?? requestedFrame,
+    setFrame,
+    prefetch,
+    /** Whether a frame is already downloaded (or downloading) */
+    isFrameCached: (i) => frameCache.has(i),
+    /**
+     * Registers a callback fired with the new volume whenever it changes
+     */
+    onChange(fn) {
+      if (typeof fn === 'function') changeListeners.push(fn);
+    },
+    /**
+     * Registers a callback fired with { stage, loaded, total, done, error? } during the initial load
+     */
+    onProgress(fn) {
+      if (typeof fn === 'function') progressListeners.push(fn);
+    }
+  };
+}
@@ -0,0 +1,111 @@
+// =============================================================================
+// volume_sampling.js - CPU-side Volume Sampling Helpers
+// =============================================================================
+
+/**
+ * Supported sample types. Integer types are normalized over valueRange
+ * (0 → valueRange[0], max → valueRange[1]); float32 samples are already in °C.
+ */
+export const VOLUME_DTYPES = {
+  uint8: { ArrayType: Uint8Array, maxValue: 255 },
+  uint16: { ArrayType: Uint16Array, maxValue: 65535 },
+  float32: { ArrayType: Float32Array, maxValue: null }
+};
+
+/**
+ * Looks up a dtype descriptor (unknown or missing dtypes are treated as uint8)
+ *
+ * @param {string} [dtype]
+ * @returns {{ ArrayType: Function, maxValue: number|null }}
+ */
+export function dtypeInfo(dtype) {
+  return VOLUME_DTYPES[dtype] || VOLUME_DTYPES.uint8;
+}
+
+/**
+ * Returns a function converting stored samples to physical units (°C)
+ *
+ * @param {string} dtype
+ * @param {number[]} [valueRange]
+ * @returns {function(number): number}
+ */
+export function sampleDecoder(dtype, valueRange) {
+  const { maxValue } = dtypeInfo(dtype);
+  if (maxValue === null) return (s) => s;
+  const v0 = valueRange?.[0] ?? 0;
+  const v1 = valueRange?.[1] ?? 1;
+  const k = (v1 - v0) / maxValue;
+  return (s) => v0 + s * k;
+}
+
+/**
+ * Converts a stored voxel value to physical units (°C)
+ *
+ * @param {{ data: ArrayLike<number>, dtype?: string, valueRange?: number[] }} vol
+ * @param {number} index - Linear voxel index (x + y*X + z*X*Y)
+ * @returns {number}
+ */
+export function voxelValue(vol, index) {
+  const s = vol.data[index];
+  const { maxValue } = dtypeInfo(vol.dtype);
+  if (maxValue === null) return s;
+  const v0 = vol.valueRange?.[0] ?? 0;
+  const v1 = vol.valueRange?.[1] ?? 1;
+  return v0 + (s / maxValue) * (v1 - v0);
+}
+
+/**
+ * Maps a world-space point to continuous voxel coordinates
+ * (voxel i sits at origin + i * spacing)
+ *
+ * @returns {number[]} [fx, fy, fz]
+ */
+export function worldToVoxel(vol, x, y, z) {
+  const [ox, oy, oz] = vol.origin || [0, 0, 0];
+  const [sx, sy, sz] = vol.spacing;
+  return [(x - ox) / sx, (y - oy) / sy, (z - oz) / sz];
+}
+
+/**
+ * Maps voxel indices to a world-space point
+ *
+ * @returns {number[]} [x, y, z]
+ */
+export function voxelToWorld(vol, i, j, k) {
+  const [ox, oy, oz] = vol.origin || [0, 0, 0];
+  const [sx, sy, sz] = vol.spacing;
+  return [ox + i * sx, oy + j * sy, oz + k * sz];
+}
+
+/**
+ * Trilinearly samples the volume at a world-space point
+ *
+ * @returns {number} Value in physical units, or NaN outside the grid
+ */
+export function sampleTrilinear(vol, x, y, z) {
+  if (!vol?.data || !vol.dims) return NaN;
+  const [X, Y, Z] = vol.dims;
+  const [fx, fy, fz] = worldToVoxel(vol, x, y, z);
+  const eps = 1e-6;
+  if (fx < -eps || fy < -eps || fz < -eps || fx > X - 1 + eps || fy > Y - 1 + eps || fz > Z - 1 + eps) {
+    return NaN;
+  }
+
+  const cx = Math.min(X - 1, Math.max(0, fx));
+  const cy = Math.min(Y - 1, Math.max(0, fy));
+  const cz = Math.min(Z - 1, Math.max(0, fz));
+  const x0 = Math.min(X - 2, Math.floor(cx)), y0 = Math.min(Y - 2, Math.floor(cy)), z0 = Math.min(Z - 2, Math.floor(cz));
+  const x0c = Math.max(0, x0), y0c = Math.max(0, y0), z0c = Math.max(0, z0);
+  const x1 = Math.min(X - 1, x0c + 1), y1 = Math.min(Y - 1, y0c + 1), z1 = Math.min(Z - 1, z0c + 1);
+  const tx = cx - x0c, ty = cy - y0c, tz = cz - z0c;
+
+  const XY = X * Y;
+  const v = (i, j, k) => voxelValue(vol, i + j * X + k * XY);
+  const c00 = v(x0c, y0c, z0c) * (1 - tx) + v(x1, y0c, z0c) * tx;
+  const c10 = v(x0c, y1, z0c) * (1 - tx) + v(x1, y1, z0c) * tx;
+  const c01 = v(x0c, y0c, z1) * (1 - tx) + v(x1, y0c, z1) * tx;
+  const c11 = v(x0c, y1, z1) * (1 - tx) + v(x1, y1, z1) * tx;
+  const c0 = c00 * (1 - ty) + c10 * ty;
+  const c1 = c01 * (1 - ty) + c11 * ty;
+  return c0 * (1 - tz) + c1 * tz;
+}
@@ -0,0 +1,123 @@
+// =============================================================================
+// webm.js - Minimal WebM Muxer for Encoded Video Frames
+// =============================================================================
+
+const encoder = new TextEncoder();
+
+/**
+ * EBML variable-length size field (smallest encoding that fits)
+ */
+function vint(n) {
+  for (let len = 1; len <= 8; len++) {
+    if (n < 2 ** (7 * len) - 1) {
+      const out = new Uint8Array(len);
+      let v = n;
+      for (let i = len - 1; i >= 0; i--) {
+        out[i] = v % 256;
+        v = Math.floor(v / 256);
+      }
+      out[0] |= 1 << (8 - len);
+      return out;
+    }
+  }
+  throw new Error('EBML size too large');
+}
+
+/**
+ * Big-endian unsigned integer in the fewest bytes (at least one)
+ */
+function uint(n) {
+  const bytes = [];
+  let v = n;
+  do {
+    bytes.unshift(v % 256);
+    v = Math.floor(v / 256);
+  } while (v > 0);
+  return new Uint8Array(bytes);
+}
+
+function float64(n) {
+  const view = new DataView(new ArrayBuffer(8));
+  view.setFloat64(0, n);
+  return new Uint8Array(view.buffer);
+}
+
+/**
+ * EBML element: id bytes + size + payload (byte arrays or nested elements)
+ */
+function element(id, ...payload) {
+  const parts = payload.flat();
+  const size = parts.reduce((n, p) => n + p.byteLength, 0);
+  return [uint(id), vint(size), ...parts];
+}
+
+/**
+ * Collects encoded frames (e.g. WebCodecs VideoEncoder output) into a WebM file.
+ * Every frame carries its own timestamp, so playback timing does not depend on
+ * how long each frame took to render or encode.
+ *
+ * @param {{ codec: 'V_VP8'|'V_VP9', width: number, height: number }} params
+ * @returns {{ addFrame: (data: Uint8Array, timestampMs: number, key: boolean) => void, toBlob: (durationMs: number) => Blob }}
+ */
+export function createWebMWriter({ codec, width, height }) {
+  const clusters = [];      // Finished cluster elements
+  let blocks = [];          // SimpleBlocks of the open cluster
+  let clusterTime = null;   // Timestamp (ms) of the open cluster
+
+  function closeCluster() {
+    if (clusterTime === null) return;
+    clusters.push(element(0x1F43B675, element(0xE7, uint(clusterTime)), ...blocks));
+    blocks = [];
+    clusterTime = null;
+  }
+
+  function addFrame(data, timestampMs, key) {
+    const t = Math.round(timestampMs);
+    // Clusters start at keyframes; block timecodes are signed 16-bit offsets
+    if (clusterTime === null || key || t - clusterTime > 30000) {
+      closeCluster();
+      clusterTime = t;
+    }
+    const header = new Uint8Array(4);
+    header[0] = 0x81;                         // Track number 1 (as a vint)
+    new DataView(header.buffer).setInt16(1, t - clusterTime);
+    header[3] = key ? 0x80 : 0x00;            // Keyframe flag
+    blocks.push(element(0xA3, header, data));
+  }
+
+  function toBlob(durationMs) {
+    closeCluster();
+    const ebml = element(0x1A45DFA3,
+      element(0x4286, uint(1)),               // EBMLVersion
+      element(0x42F7, uint(1)),               // EBMLReadVersion
+      element(0x42F2, uint(4)),               // EBMLMaxIDLength
+      element(0x42F3, uint(8)),               // EBMLMaxSizeLength
+      element(0x4282, encoder.encode('webm')),
+      element(0x4287, uint(2)),               // DocTypeVersion
+      element(0x4285, uint(2))                // DocTypeReadVersion
+    );
+    const info = element(0x1549A966,
+      element(0x2AD7B1, uint(1000000)),       // Timecodes in milliseconds
+      element(0x4D80, encoder.encode('vinci')),
+      element(0x5741, encoder.encode('vinci')),
+      element(0x4489, float64(durationMs))
+    );
+    const tracks = element(0x1654AE6B,
+      element(0xAE,
+        element(0xD7, uint(1)),               // TrackNumber
+        element(0x73C5, uint(1)),             // TrackUID
+        element(0x9C, uint(0)),               // FlagLacing
+        element(0x83, uint(1)),               // TrackType: video
+        element(0x86, encoder.encode(codec)),
+        element(0xE0,
+          element(0xB0, uint(width)),
+          element(0xBA, uint(height))
+        )
+      )
+    );
+    const segment = element(0x18538067, info, tracks, ...clusters);
+    return new Blob([...ebml, ...segment], { type: 'video/webm' });
+  }
+
+  return { addFrame, toBlob };
+}
@@ -0,0 +1,95 @@
+// =============================================================================
+// zip.js - Minimal ZIP Archive Writer (stored, uncompressed)
+// =============================================================================
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE) of a byte array
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * DOS date / time fields for the ZIP headers
+ */
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Collects files into a ZIP archive without compression (PNG / WebM data is
+ * already compressed). Archives must stay below 4 GB (no ZIP64).
+ *
+ * @returns {{ add: (name: string, data: Uint8Array|ArrayBuffer) => void, toBlob: () => Blob, count: () => number }}
+ */
+export function createZipWriter() {
+  const encoder = new TextEncoder();
+  const parts = [];       // Local headers and file data, in order
+  const central = [];     // Central directory records
+  let offset = 0;
+  const { time, day } = dosDateTime(new Date());
+
+  function add(name, data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(bytes);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);   // Local file header signature
+    local.setUint16(4, 20, true);           // Version needed (2.0)
+    local.setUint16(6, 0x0800, true);       // UTF-8 names
+    local.setUint16(8, 0, true);            // Stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local, nameBytes, bytes);
+
+    const record = new DataView(new ArrayBuffer(46));
+    record.setUint32(0, 0x02014B50, true);  // Central directory signature
+    record.setUint16(4, 20, true);          // Version made by
+    record.setUint16(6, 20, true);          // Version needed
+    record.setUint16(8, 0x0800, true);
+    record.setUint16(10, 0, true);
+    record.setUint16(12, time, true);
+    record.setUint16(14, day, true);
+    record.setUint32(16, crc, true);
+    record.setUint32(20, bytes.length, true);
+    record.setUint32(24, bytes.length, true);
+    record.setUint16(28, nameBytes.length, true);
+    record.setUint32(42, offset, true);     // Local header offset (other fields stay 0)
+    central.push(record, nameBytes);
+
+    offset += 30 + nameBytes.length + bytes.length;
+  }
+
+  function toBlob() {
+    const size = central.reduce((n, p) => n + p.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);     // End of central directory signature
+    end.setUint16(8, central.length / 2, true);
+    end.setUint16(10, central.length / 2, true);
+    end.setUint32(12, size, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+  }
+
+  return { add, toBlob, count: () => central.length / 2 };
+}
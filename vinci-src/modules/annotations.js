@@ -0,0 +1,421 @@
+/**
+ * ANNOTATIONS MODULE
+ *
+ * Review notes pinned in 3D ("pipe contact gap here"): a pin on a CAD surface
+ * or at a location inside the temperature volume, with a title and text shown
+ * as a screen-space label that follows the pin.
+ *
+ * Features:
+ * - Click a CAD surface to pin a note to that component
+ * - Volume pins land on the hottest sample along the click ray (inside the kept clip region)
+ * - Component pins are stored relative to the component's bounding box center, so
+ *   they survive GLB re-exports and follow the component in the exploded view
+ * - Volume pins are stored in the volume's frame and follow it when it is displaced
+ * - Labels hide while the pin is occluded by an opaque component (re-tested a few
+ *   pins per second, only after the camera, the pins or the components changed)
+ * - Editable title / text, fly-to and delete per annotation
+ * - JSON import / export keyed by component folder name
+ */
+
+import * as THREE from 'three';
+import { setTooltip } from './gui_utils.js';
+import { downloadJSON, pickTextFile } from '../core/files.js';
+import { sampleTrilinear } from '../core/volume_sampling.js';
+
+const TOOL_NAME = 'annotate';
+const MARKER_RADIUS = 0.0012;      // World units (m)
+const LABEL_COLOR = '#ff7eb6';
+const TARGETS = ['CAD surface', 'Volume (hottest on ray)'];
+const VOLUME_RAY_STEPS = 256;
+const OCCLUSION_INTERVAL_MS = 125;    // At most one pin re-tested per interval (round robin)
+const FOCUS_SIZE = 0.03;           // Box framed by "Fly to" (m)
+
+export function setupAnnotations({
+  gui,
+  scene,
+  camera,
+  picker,
+  labels,
+  getModels,
+  getBBoxIndex,
+  getClipPlanes,
+  getVolumeOffset,
+  volumeData,
+  bookmarks
+}) {
+  const folder = gui.addFolder('Annotations');
+
+  const log = (msg) => {
+    try {
+      window.logEvent ? window.logEvent(msg) : console.log(msg);
+    } catch {
+      console.log(msg);
+    }
+  };
+
+  // =============================================================================
+  // STATE
+  // =============================================================================
+
+  // { id, title, text, component, local, marker, label, folder, occluded }
+  // component: folder name or null (volume pin); local: offset from the bbox center, or volume position
+  const annotations = [];
+  let nextId = 1;
+  let occlusionCursor = 0;
+  let occlusionKey = '';      // Camera, pins and models at the last change (see sceneKey)
+  let occlusionPending = 0;   // Pins still to re-test since that change
+  let lastOcclusionCheck = -Infinity;
+
+  const markerGroup = new THREE.Group();
+  markerGroup.name = 'Annotations';
+  scene.add(markerGroup);
+
+  const markerGeo = new THREE.SphereGeometry(MARKER_RADIUS, 16, 12);
+  const markerMaterial = new THREE.MeshBasicMaterial({ color: LABEL_COLOR });
+
+  const state = {
+    active: false,
+    target: TARGETS[0],
+    title: 'Note',
+    text: '',
+    hideOccluded: true,
+    visible: true,
+    exportJSON: () => {
+      if (!annotations.length) {
+        log('Annotations: Nothing to export');
+        return;
+      }
+      downloadJSON('annotations.json', {
+        version: 1,
+        annotations: annotations.map(toJSON)
+      });
+    },
+    importJSON: async () => {
+      const text = await pickTextFile();
+      if (!text) return;
+      try {
+        const parsed = JSON.parse(text);
+        const list = Array.isArray(parsed) ? parsed : parsed?.annotations;
+        if (!Array.isArray(list)) throw new Error('no "annotations" array');
+        let count = 0;
+        let missing = 0;
+        list.forEach(a => {
+          const entry = fromJSON(a);
+          if (!entry) return;
+          if (entry.component && !getModels?.()[entry.component]) missing++;
+          addAnnotation(entry);
+          count++;
+        });
+        log(`Annotations: Imported ${count} note(s)` +
+          (missing ? ` (${missing} on components that are not loaded)` : ''));
+      } catch (e) {
+        log(`Annotations: Import failed (${e.message})`);
+      }
+    },
+    clearAll: () => {
+      annotations.slice().forEach(removeAnnotation);
+      log('Annotations: Cleared all notes');
+    }
+  };
+
+  // =============================================================================
+  // UI CONTROLS
+  // =============================================================================
+
+  const activeCtrl = folder.add(state, 'active')
+    .name('Annotate mode')
+    .onChange(v => {
+      if (v) picker.setActiveTool(TOOL_NAME);
+      else if (picker.getActiveTool() === TOOL_NAME) picker.setActiveTool(null);
+    });
+  setTooltip(activeCtrl, 'Click to place a note with the title and text below');
+
+  const targetCtrl = folder.add(state, 'target', TARGETS).name('Pin on');
+  setTooltip(targetCtrl, 'CAD surface: pin to the clicked component. Volume: pin at the hottest point along the click ray');
+
+  const titleCtrl = folder.add(state, 'title').name('Title');
+  setTooltip(titleCtrl, 'Title of the next note');
+
+  const textCtrl = folder.add(state, 'text').name('Text');
+  setTooltip(textCtrl, 'Body of the next note (editable later in the list)');
+
+  const visibleCtrl = folder.add(state, 'visible')
+    .name('Show notes')
+    .onChange(v => { markerGroup.visible = v; });
+  setTooltip(visibleCtrl, 'Show or hide all annotation pins and labels');
+
+  const occludedCtrl = folder.add(state, 'hideOccluded').name('Hide occluded');
+  setTooltip(occludedCtrl, 'Hide labels whose pin is behind an opaque component');
+
+  const listFolder = folder.addFolder('Notes');
+
+  const exportCtrl = folder.add(state, 'exportJSON').name('Export JSON');
+  setTooltip(exportCtrl, 'Download all notes as annotations.json (component pins are relative to the component bbox)');
+
+  const importCtrl = folder.add(state, 'importJSON').name('Import JSON');
+  setTooltip(importCtrl, 'Load notes from an annotations.json file');
+
+  const clearCtrl = folder.add(state, 'clearAll').name('Clear all');
+  setTooltip(clearCtrl, 'Remove every note');
+
+  picker.onToolChange(tool => {
+    if (tool !== TOOL_NAME && state.active) {
+      state.active = false;
+      activeCtrl.updateDisplay?.();
+    }
+  });
+
+  folder.close?.();
+
+  // =============================================================================
+  // ANCHORING
+  // =============================================================================
+
+  /**
+   * Assembled bbox center of a component (null when it has no bbox entry)
+   */
+  function anchorOf(name) {
+    const bbox = getBBoxIndex?.()?.items?.[name]?.bbox;
+    if (!Array.isArray(bbox?.min) || !Array.isArray(bbox?.max)) return null;
+    return new THREE.Vector3().fromArray(bbox.min).add(new THREE.Vector3().fromArray(bbox.max)).multiplyScalar(0.5);
+  }
+
+  /**
+   * Displacement of the annotation's component, or of the volume for volume pins
+   * (exploded view)
+   */
+  function offsetOf(a) {
+    return a.component ? getModels?.()[a.component]?.mesh?.position : getVolumeOffset?.();
+  }
+
+  /**
+   * Current world position of an annotation (follows exploded components)
+   */
+  function worldOf(a, out = new THREE.Vector3()) {
+    out.copy(a.local);
+    const anchor = a.component ? anchorOf(a.component) : null;
+    if (anchor) out.add(anchor);
+    const offset = offsetOf(a);
+    if (offset) out.add(offset);
+    return out;
+  }
+
+  const labelText = (a) => (a.text ? `${a.title}\n${a.text}` : a.title);
+
+  function toJSON(a) {
+    const round = (v) => Number(v.toFixed(6));
+    const world = worldOf(a);
+    const offset = offsetOf(a);
+    if (offset) world.sub(offset);   // Export assembled positions
+    return {
+      title: a.title,
+      text: a.text,
+      component: a.component,
+      offset: a.component ? a.local.toArray().map(round) : undefined,
+      position: world.toArray().map(round)
+    };
+  }
+
+  /**
+   * Validates an imported note; component notes prefer the bbox-relative offset
+   */
+  function fromJSON(a) {
+    if (!a || typeof a !== 'object') return null;
+    const isVec = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+    const component = typeof a.component === 'string' && a.component ? a.component : null;
+    let local = null;
+    if (component && isVec(a.offset)) local = new THREE.Vector3().fromArray(a.offset);
+    else if (isVec(a.position)) {
+      local = new THREE.Vector3().fromArray(a.position);
+      const anchor = component ? anchorOf(component) : null;
+      if (anchor) local.sub(anchor);
+    }
+    if (!local) return null;
+    return { title: String(a.title ?? 'Note'), text: String(a.text ?? ''), component, local };
+  }
+
+  // =============================================================================
+  // NOTES
+  // =============================================================================
+
+  function addAnnotation({ title, text, component, local }) {
+    const a = { id: nextId++, title, text, component, local, occluded: false };
+    const position = worldOf(a);
+
+    a.marker = new THREE.Mesh(markerGeo, markerMaterial);
+    a.marker.position.copy(position);
+    markerGroup.add(a.marker);
+    a.label = labels?.add(position, labelText(a), { color: LABEL_COLOR });
+
+    a.folder = listFolder.addFolder(`#${a.id} ${title}`);
+    const where = a.folder.add({ where: component || 'volume' }, 'where').name('Pinned on');
+    where.disable?.();
+    const refresh = () => {
+      a.label?.setText(labelText(a));
+      a.folder.title?.(`#${a.id} ${a.title}`);
+    };
+    a.folder.add(a, 'title').name('Title').onChange(refresh);
+    a.folder.add(a, 'text').name('Text').onChange(refresh);
+    const flyCtrl = a.folder.add({ fly: () => flyToAnnotation(a) }, 'fly').name('Fly to');
+    setTooltip(flyCtrl, 'Move the camera to this note');
+    const delCtrl = a.folder.add({ remove: () => removeAnnotation(a) }, 'remove').name('Delete');
+    setTooltip(delCtrl, 'Remove this note');
+    a.folder.close?.();
+    listFolder.open?.();
+
+    annotations.push(a);
+    return a;
+  }
+
+  function removeAnnotation(a) {
+    const i = annotations.indexOf(a);
+    if (i < 0) return;
+    annotations.splice(i, 1);
+    markerGroup.remove(a.marker);
+    a.label?.remove();
+    a.folder?.destroy?.();
+  }
+
+  function flyToAnnotation(a) {
+    if (!bookmarks) return;
+    const center = worldOf(a);
+    const box = new THREE.Box3().setFromCenterAndSize(center, new THREE.Vector3().setScalar(FOCUS_SIZE));
+    const view = bookmarks.viewForBox(box, camera.position.clone().sub(center));
+    if (view) bookmarks.flyTo(view.position, view.target);
+  }
+
+  // =============================================================================
+  // PLACEMENT
+  // =============================================================================
+
+  /**
+   * Hottest volume sample along the picker ray, skipping clipped-away samples
+   * @returns {THREE.Vector3|null} Position in the volume's (undisplaced) frame
+   */
+  function pickVolume(vol) {
+    const [X, Y, Z] = vol.dims;
+    const [sx, sy, sz] = vol.spacing;
+    const offset = getVolumeOffset?.() ?? new THREE.Vector3();
+    const min = new THREE.Vector3().fromArray(vol.origin || [0, 0, 0]).add(offset);
+    const box = new THREE.Box3(min, min.clone().add(new THREE.Vector3((X - 1) * sx, (Y - 1) * sy, (Z - 1) * sz)));
+    const ray = picker.raycaster.ray;
+    const entry = box.containsPoint(ray.origin) ? ray.origin.clone() : ray.intersectBox(box, new THREE.Vector3());
+    if (!entry) return null;
+    const exit = new THREE.Ray(ray.at(1e3, new THREE.Vector3()), ray.direction.clone().negate())
+      .intersectBox(box, new THREE.Vector3());
+    if (!exit) return null;
+
+    const clip = getClipPlanes?.() || [];
+    const p = new THREE.Vector3();
+    const q = new THREE.Vector3();
+    let best = null;
+    let bestValue = -Infinity;
+    for (let i = 0; i <= VOLUME_RAY_STEPS; i++) {
+      p.lerpVectors(entry, exit, i / VOLUME_RAY_STEPS);
+      if (clip.some(pl => pl.distanceToPoint(p) < 0)) continue;
+      q.subVectors(p, offset);
+      const v = sampleTrilinear(vol, q.x, q.y, q.z);
+      if (v > bestValue) {
+        bestValue = v;
+        best = q.clone();
+      }
+    }
+    return best;
+  }
+
+  picker.onClick(async (ndc) => {
+    let component = null;
+    let local = null;
+
+    if (state.target === TARGETS[0]) {
+      const hit = picker.pickCAD(ndc, getModels?.(), getClipPlanes?.());
+      if (!hit) return;
+      component = hit.folder;
+      local = hit.point.clone();
+      const offset = getModels?.()[component]?.mesh?.position;
+      if (offset) local.sub(offset);
+      const anchor = anchorOf(component);
+      if (anchor) local.sub(anchor);
+    } else {
+      const vol = volumeData?.get() || await volumeData?.load();
+      if (!vol) {
+        log('Annotations: No temperature volume loaded');
+        return;
+      }
+      picker.raycaster.setFromCamera(ndc, camera);
+      local = pickVolume(vol);
+      if (!local) return;
+    }
+
+    const a = addAnnotation({ title: state.title || 'Note', text: state.text, component, local });
+    log(`Annotations: #${a.id} "${a.title}" on ${component || 'volume'}`);
+  }, TOOL_NAME);
+
+  // =============================================================================
+  // FOLLOW & OCCLUSION
+  // =============================================================================
+
+  const tmp = new THREE.Vector3();
+
+  /**
+   * True when an opaque component is hit in front of the pin
+   */
+  function isOccluded(position) {
+    // pickCAD skips see-through (ghosted) parts, which do not hide the pin
+    const ndc = new THREE.Vector2().copy(tmp.copy(position).project(camera));
+    const hit = picker.pickCAD(ndc, getModels?.(), getClipPlanes?.());
+    if (!hit) return false;
+    const distance = camera.position.distanceTo(position);
+    return hit.distance < distance - Math.max(0.001, distance * 0.005);
+  }
+
+  /**
+   * Everything the occlusion result depends on: camera, pin positions (including
+   * exploded offsets), component visibility / see-through state and clip planes
+   */
+  function sceneKey() {
+    const parts = [camera.matrixWorld.elements.join(',')];
+    annotations.forEach(a => parts.push(a.marker.position.toArray().join(',')));
+    Object.values(getModels?.() || {}).forEach(e => parts.push(`${!!e?.mesh?.visible}${!!e?.seeThrough}`));
+    (getClipPlanes?.() || []).forEach(p => parts.push(`${p.normal.toArray()},${p.constant}`));
+    return parts.join('|');
+  }
+
+  try {
+    const register = window.__registerUpdater;
+    register?.(({ time } = {}) => {
+      if (!annotations.length) return;
+      annotations.forEach(a => {
+        worldOf(a, a.marker.position);
+        a.label?.setPosition(a.marker.position);
+      });
+
+      if (state.hideOccluded) {
+        const key = sceneKey();
+        if (key !== occlusionKey) {
+          occlusionKey = key;
+          occlusionPending = annotations.length;
+        }
+        const now = time ?? performance.now();
+        if (occlusionPending > 0 && (now - lastOcclusionCheck >= OCCLUSION_INTERVAL_MS || now < lastOcclusionCheck)) {
+          lastOcclusionCheck = now;
+          occlusionPending--;
+          occlusionCursor = (occlusionCursor + 1) % annotations.length;
+          const a = annotations[occlusionCursor];
+          a.occluded = isOccluded(a.marker.position);
+        }
+      } else {
+        occlusionKey = '';   // Re-test everything when the option is turned back on
+      }
+      annotations.forEach(a => {
+        if (a.label) a.label.visible = state.visible && !(state.hideOccluded && a.occluded);
+      });
+    });
+  } catch {}
+
+  return {
+    folder,
+    /** Notes as plain data (same shape as the JSON export) */
+    getAnnotations: () => annotations.map(toJSON)
+  };
+}
@@ -0,0 +1,216 @@
+/**
+ * APPEARANCE MODULE
+ *
+ * Rendering styles for CAD components so the heat map and isosurfaces can be
+ * seen through the enclosure and sections without hiding them completely.
+ *
+ * Features:
+ * - Solid: the default opaque flat-shaded look
+ * - Ghost: translucent surfaces with feature-edge lines
+ * - X-ray: view-dependent fresnel glow (edges bright, faces facing the camera clear),
+ *   additive and depth-sorted like other transparent objects
+ * - Wireframe: triangle edges only
+ * - Global mode plus per-component overrides; tools (e.g. isolate) can force a
+ *   temporary mode on a component without touching the user's choice
+ */
+
+import * as THREE from 'three';
+import { setTooltip } from './gui_utils.js';
+
+export const APPEARANCE_MODES = ['Solid', 'Ghost', 'X-ray', 'Wireframe'];
+
+const EDGE_THRESHOLD_DEG = 30;   // Dihedral angle above which ghost edges are drawn
+
+/**
+ * Creates the material for a non-solid appearance mode
+ * @param {string} mode - 'Ghost' | 'X-ray' | 'Wireframe'
+ * @param {Object} params
+ * @param {THREE.ColorRepresentation} params.color - Component base color
+ * @param {THREE.Plane[]|null} params.clippingPlanes - Shared clipping plane list
+ * @param {number} params.opacity - Ghost / X-ray strength (0..1)
+ * @returns {THREE.Material|null} null for 'Solid' (the caller keeps its own material)
+ */
+export function createAppearanceMaterial(mode, { color, clippingPlanes, opacity }) {
+  if (mode === 'Ghost') {
+    return new THREE.MeshStandardMaterial({
+      color,
+      flatShading: true,
+      metalness: 0.0,
+      roughness: 0.95,
+      transparent: true,
+      opacity,
+      depthWrite: false,
+      clippingPlanes
+    });
+  }
+
+  if (mode === 'Wireframe') {
+    return new THREE.MeshBasicMaterial({ color, wireframe: true, clippingPlanes });
+  }
+
+  if (mode === 'X-ray') {
+    return new THREE.ShaderMaterial({
+      uniforms: {
+        uColor: { value: new THREE.Color(color).lerp(new THREE.Color(0x9fd3ff), 0.5) },
+        uOpacity: { value: opacity },
+        uPower: { value: 2.0 }
+      },
+      vertexShader: /* glsl */`
+        #include <common>
+        #include <clipping_planes_pars_vertex>
+        varying vec3 vViewPos;
+        void main() {
+          #include <begin_vertex>
+          #include <project_vertex>
+          #include <clipping_planes_vertex>
+          vViewPos = -mvPosition.xyz;
+        }
+      `,
+      fragmentShader: /* glsl */`
+        #include <clipping_planes_pars_fragment>
+        uniform vec3 uColor;
+        uniform float uOpacity;
+        uniform float uPower;
+        varying vec3 vViewPos;
+        void main() {
+          #include <clipping_planes_fragment>
+          // Face normal from screen-space derivatives (CAD meshes are flat shaded)
+          vec3 n = normalize(cross(dFdx(vViewPos), dFdy(vViewPos)));
+          float fresnel = pow(1.0 - abs(dot(n, normalize(vViewPos))), uPower);
+          gl_FragColor = vec4(uColor, clamp(0.04 + fresnel * (0.3 + uOpacity * 2.0), 0.0, 1.0));
+        }
+      `,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+      side: THREE.DoubleSide,
+      clipping: true,
+      clippingPlanes
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Adds or removes feature-edge lines on a mesh (used by Ghost mode).
+ * The edge geometry is cached on the mesh geometry.
+ */
+export function setEdgeLines(mesh, on, { color, clippingPlanes } = {}) {
+  let lines = mesh.children.find(c => c.userData?.__appearanceEdges);
+  if (!on) {
+    if (lines) {
+      mesh.remove(lines);
+      lines.material.dispose();
+    }
+    return;
+  }
+
+  const geo = mesh.geometry;
+  if (!geo) return;
+  geo.userData.__edges ??= new THREE.EdgesGeometry(geo, EDGE_THRESHOLD_DEG);
+  if (lines) lines.material.dispose();
+  else {
+    lines = new THREE.LineSegments(geo.userData.__edges);
+    lines.userData.__appearanceEdges = true;
+    lines.raycast = () => {};   // Picking hits the surface, not its outline
+    mesh.add(lines);
+  }
+  lines.material = new THREE.LineBasicMaterial({
+    color: new THREE.Color(color).offsetHSL(0, 0, 0.25),
+    transparent: true,
+    opacity: 0.6,
+    depthWrite: false,
+    clippingPlanes
+  });
+}
+
+/**
+ * Adds the appearance controls (global mode, per-component overrides)
+ * @param {Object} params
+ * @param {Object} params.gui - lil-gui panel
+ * @param {string[]} params.components - Component folder names
+ * @param {Function} params.onChange - Called with the component names whose look must be reapplied
+ * @returns {Object} { folder, getMode, getOpacity, setOverride }
+ */
+export function setupAppearance({ gui, components, onChange }) {
+  const folder = gui.addFolder('Appearance');
+
+  const log = (msg) => {
+    try {
+      window.logEvent ? window.logEvent(msg) : console.log(msg);
+    } catch {
+      console.log(msg);
+    }
+  };
+
+  // =============================================================================
+  // STATE
+  // =============================================================================
+
+  const state = {
+    mode: 'Solid',
+    opacity: 0.15
+  };
+  const perComponent = {};   // name -> 'Global' | mode
+  const overrides = {};      // name -> mode forced by a tool (highest priority)
+  components.forEach(n => { perComponent[n] = 'Global'; });
+
+  const notify = (names) => {
+    try { onChange?.(names); } catch (e) { console.warn('Appearance update failed', e); }
+  };
+
+  // =============================================================================
+  // UI CONTROLS
+  // =============================================================================
+
+  const modeCtrl = folder.add(state, 'mode', APPEARANCE_MODES)
+    .name('All components')
+    .onChange(v => {
+      log(`Appearance: ${v}`);
+      notify(components.filter(n => perComponent[n] === 'Global'));
+    });
+  setTooltip(modeCtrl,
+    'Solid: opaque. Ghost: translucent with edge lines. X-ray: fresnel outline glow. Wireframe: triangle edges. ' +
+    'See-through modes let the heat map and isosurfaces show through.'
+  );
+
+  const opacityCtrl = folder.add(state, 'opacity', 0.02, 0.6, 0.01)
+    .name('Ghost / X-ray opacity')
+    .onFinishChange(() => notify(components.filter(n => !['Solid', 'Wireframe'].includes(getMode(n)))));
+  setTooltip(opacityCtrl, 'Strength of ghosted and X-ray surfaces');
+
+  const perFolder = folder.addFolder('Per component');
+  components.forEach(name => {
+    const ctrl = perFolder.add(perComponent, name, ['Global', ...APPEARANCE_MODES])
+      .onChange(() => notify([name]));
+    setTooltip(ctrl, `Appearance of ${name} ('Global' follows All components)`);
+  });
+  perFolder.close?.();
+  folder.close?.();
+
+  /**
+   * Effective appearance mode of a component
+   */
+  function getMode(name) {
+    if (overrides[name]) return overrides[name];
+    const own = perComponent[name];
+    return own && own !== 'Global' ? own : state.mode;
+  }
+
+  return {
+    folder,
+    getMode,
+    getOpacity: () => state.opacity,
+    /**
+     * Forces a mode on a component until cleared with null (e.g. isolate ghosting)
+     */
+    setOverride(name, mode) {
+      const next = APPEARANCE_MODES.includes(mode) ? mode : null;
+      if ((overrides[name] || null) === next) return;
+      if (next) overrides[name] = next;
+      else delete overrides[name];
+      notify([name]);
+    }
+  };
+}
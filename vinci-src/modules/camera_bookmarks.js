@@ -0,0 +1,302 @@
+/**
+ * CAMERA BOOKMARKS MODULE
+ *
+ * Named camera views with animated transitions. Preset views are computed
+ * from the combined component bounding box; saved views can be exported to
+ * and imported from JSON so they can be versioned alongside the dataset.
+ *
+ * Features:
+ * - Presets: top, bottom, front, side and isometric, framing the whole assembly
+ * - Save the current camera position / orbit target under a name
+ * - Smooth fly-to transitions driven by the updater loop (orbit around the target)
+ * - Any orbit drag cancels a running transition
+ * - JSON export / import (bookmarks with the same name are replaced)
+ */
+
+import * as THREE from 'three';
+import { setTooltip } from './gui_utils.js';
+import { downloadJSON, pickTextFile } from '../core/files.js';
+
+// View directions (from the target towards the camera). The assembly is stacked
+// along Z with the display at +Z; the camera keeps Y up, so the Front view gets a
+// small +Z component that makes the display edge the top of the screen
+const PRESETS = {
+  Top: [0, -1e-4, 1],
+  Bottom: [0, -1e-4, -1],
+  Front: [0, -1, 1e-3],
+  Side: [1, 0, 1e-4],
+  Isometric: [1, -1, 1]
+};
+
+const FIT_MARGIN = 1.2;   // Same framing margin as the initial camera fit
+
+export function setupCameraBookmarks({ gui, camera, controls, getBounds }) {
+  const folder = gui.addFolder('Camera Bookmarks');
+
+  const log = (msg) => {
+    try {
+      window.logEvent ? window.logEvent(msg) : console.log(msg);
+    } catch {
+      console.log(msg);
+    }
+  };
+
+  // =============================================================================
+  // STATE
+  // =============================================================================
+
+  const bookmarks = [];     // { name, position: [x,y,z], target: [x,y,z], ctrl }
+  let selected = null;      // Last bookmark saved or flown to
+  let flight = null;        // Running transition
+
+  const state = {
+    name: 'View 1',
+    duration: 1.0,          // Transition time (s); 0 jumps immediately
+    save: () => {
+      const name = state.name.trim() || `View ${bookmarks.length + 1}`;
+      addBookmark({
+        name,
+        position: camera.position.toArray(),
+        target: controls.target.toArray()
+      });
+      log(`Bookmarks: Saved "${name}"`);
+      state.name = `View ${bookmarks.length + 1}`;
+      nameCtrl.updateDisplay?.();
+    },
+    deleteSelected: () => {
+      if (!selected) {
+        log('Bookmarks: Select a bookmark first (fly to it)');
+        return;
+      }
+      removeBookmark(selected);
+    },
+    exportJSON: () => {
+      if (!bookmarks.length) {
+        log('Bookmarks: Nothing to export');
+        return;
+      }
+      downloadJSON('camera_bookmarks.json', {
+        version: 1,
+        bookmarks: bookmarks.map(({ name, position, target }) => ({ name, position, target }))
+      });
+    },
+    importJSON: async () => {
+      const text = await pickTextFile();
+      if (!text) return;
+      try {
+        const parsed = JSON.parse(text);
+        const list = Array.isArray(parsed) ? parsed : parsed?.bookmarks;
+        if (!Array.isArray(list)) throw new Error('no "bookmarks" array');
+        let count = 0;
+        list.forEach(b => {
+          if (isValidBookmark(b)) {
+            addBookmark({ name: String(b.name), position: b.position, target: b.target });
+            count++;
+          }
+        });
+        log(`Bookmarks: Imported ${count} view(s)`);
+      } catch (e) {
+        log(`Bookmarks: Import failed (${e.message})`);
+      }
+    }
+  };
+
+  // =============================================================================
+  // UI CONTROLS
+  // =============================================================================
+
+  const presetsFolder = folder.addFolder('Presets');
+  Object.keys(PRESETS).forEach(name => {
+    const ctrl = presetsFolder.add({ [name]: () => viewPreset(name) }, name);
+    setTooltip(ctrl, `Fly to the ${name.toLowerCase()} view of the whole assembly`);
+  });
+
+  const nameCtrl = folder.add(state, 'name').name('Name');
+  setTooltip(nameCtrl, 'Name for the next saved view');
+
+  const saveCtrl = folder.add(state, 'save').name('Save current view');
+  setTooltip(saveCtrl, 'Bookmark the current camera position and orbit target (same name replaces)');
+
+  const durationCtrl = folder.add(state, 'duration', 0, 3, 0.1).name('Transition (s)');
+  setTooltip(durationCtrl, 'Fly-to animation length; 0 jumps immediately');
+
+  const savedFolder = folder.addFolder('Saved');
+
+  const deleteCtrl = folder.add(state, 'deleteSelected').name('Delete selected');
+  setTooltip(deleteCtrl, 'Remove the bookmark last saved or flown to');
+
+  const exportCtrl = folder.add(state, 'exportJSON').name('Export JSON');
+  setTooltip(exportCtrl, 'Download the saved views as camera_bookmarks.json');
+
+  const importCtrl = folder.add(state, 'importJSON').name('Import JSON');
+  setTooltip(importCtrl, 'Load views from a camera_bookmarks.json file');
+
+  folder.close?.();
+
+  // =============================================================================
+  // BOOKMARK LIST
+  // =============================================================================
+
+  function isValidBookmark(b) {
+    const vec = (a) => Array.isArray(a) && a.length === 3 && a.every(Number.isFinite);
+    return b && typeof b.name === 'string' && b.name && vec(b.position) && vec(b.target);
+  }
+
+  function addBookmark({ name, position, target }) {
+    const existing = bookmarks.find(b => b.name === name);
+    if (existing) {
+      existing.position = position.slice();
+      existing.target = target.slice();
+      selected = existing;
+      return existing;
+    }
+
+    const bookmark = { name, position: position.slice(), target: target.slice(), ctrl: null };
+    bookmark.ctrl = savedFolder.add({ go: () => flyToBookmark(bookmark) }, 'go').name(name);
+    setTooltip(bookmark.ctrl, `Fly to "${name}"`);
+    bookmarks.push(bookmark);
+    selected = bookmark;
+    savedFolder.open?.();
+    return bookmark;
+  }
+
+  function removeBookmark(bookmark) {
+    const i = bookmarks.indexOf(bookmark);
+    if (i < 0) return;
+    bookmarks.splice(i, 1);
+    bookmark.ctrl?.destroy?.();
+    if (selected === bookmark) selected = null;
+    log(`Bookmarks: Deleted "${bookmark.name}"`);
+  }
+
+  function flyToBookmark(bookmark) {
+    selected = bookmark;
+    log(`Bookmarks: Flying to "${bookmark.name}"`);
+    return flyTo(bookmark.position, bookmark.target);
+  }
+
+  // =============================================================================
+  // PRESET VIEWS
+  // =============================================================================
+
+  /**
+   * Camera placement that frames a box from a direction
+   * @param {THREE.Box3} box - World-space bounds
+   * @param {THREE.Vector3} dir - Direction from the box center towards the camera
+   * @returns {{ position: number[], target: number[] }|null}
+   */
+  function viewForBox(box, dir) {
+    if (!box || box.isEmpty()) return null;
+    const center = box.getCenter(new THREE.Vector3());
+    const radius = box.getSize(new THREE.Vector3()).length() * 0.5;
+    if (!(radius > 0)) return null;
+
+    const fov = THREE.MathUtils.degToRad(camera.fov);
+    const distance = (radius / Math.sin(fov / 2)) * FIT_MARGIN;
+    const position = center.clone().addScaledVector(dir.clone().normalize(), distance);
+    return { position: position.toArray(), target: center.toArray() };
+  }
+
+  function viewPreset(name) {
+    const view = viewForBox(getBounds?.(), new THREE.Vector3().fromArray(PRESETS[name]));
+    if (!view) {
+      log('Bookmarks: Bounds not available yet');
+      return Promise.resolve();
+    }
+    return flyTo(view.position, view.target);
+  }
+
+  // =============================================================================
+  // FLY-TO ANIMATION
+  // =============================================================================
+
+  const easeInOut = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+  /**
+   * Animates the camera to a position / orbit target. The view direction is rotated
+   * around the target rather than cut through it, so opposite views swing around.
+   * @param {number[]|THREE.Vector3} position - Camera position
+   * @param {number[]|THREE.Vector3} target - Orbit target
+   * @param {number} [duration] - Seconds (defaults to the Transition setting)
+   * @returns {Promise<void>} Resolves when the camera arrives (or the flight is cancelled)
+   */
+  function flyTo(position, target, duration = state.duration) {
+    const toPos = Array.isArray(position) ? new THREE.Vector3().fromArray(position) : position.clone();
+    const toTarget = Array.isArray(target) ? new THREE.Vector3().fromArray(target) : target.clone();
+    finishFlight();
+
+    if (!(duration > 0)) {
+      camera.position.copy(toPos);
+      controls.target.copy(toTarget);
+      controls.update();
+      return Promise.resolve();
+    }
+
+    const fromOffset = new THREE.Vector3().subVectors(camera.position, controls.target);
+    const toOffset = new THREE.Vector3().subVectors(toPos, toTarget);
+    const fromDir = fromOffset.clone().normalize();
+    const toDir = toOffset.clone().normalize();
+
+    return new Promise(resolve => {
+      flight = {
+        fromTarget: controls.target.clone(),
+        toTarget,
+        toPos,
+        fromDir,
+        fromLen: fromOffset.length(),
+        toLen: toOffset.length(),
+        rotation: new THREE.Quaternion().setFromUnitVectors(fromDir, toDir),
+        duration: duration * 1000,
+        start: null,
+        resolve
+      };
+    });
+  }
+
+  /**
+   * Stops the running flight where it is
+   */
+  function finishFlight() {
+    if (!flight) return;
+    const { resolve } = flight;
+    flight = null;
+    resolve();
+  }
+
+  const spin = new THREE.Quaternion();
+  const dir = new THREE.Vector3();
+
+  try {
+    const register = window.__registerUpdater;
+    register?.(({ time }) => {
+      if (!flight) return;
+      const now = time ?? performance.now();
+      if (flight.start === null) flight.start = now;
+      const t = Math.min(1, (now - flight.start) / flight.duration);
+      const e = easeInOut(t);
+
+      controls.target.lerpVectors(flight.fromTarget, flight.toTarget, e);
+      spin.identity().slerp(flight.rotation, e);
+      dir.copy(flight.fromDir).applyQuaternion(spin);
+      camera.position.copy(controls.target).addScaledVector(dir, THREE.MathUtils.lerp(flight.fromLen, flight.toLen, e));
+      if (t >= 1) {
+        camera.position.copy(flight.toPos);
+        controls.target.copy(flight.toTarget);
+      }
+      controls.update();
+      if (t >= 1) finishFlight();
+    });
+  } catch {}
+
+  // Grabbing the view cancels a transition
+  controls.addEventListener?.('start', finishFlight);
+
+  return {
+    folder,
+    flyTo,
+    viewForBox,
+    viewPreset,
+    /** Saved bookmarks as [{ name, position, target }] */
+    getBookmarks: () => bookmarks.map(({ name, position, target }) => ({ name, position: position.slice(), target: target.slice() }))
+  };
+}
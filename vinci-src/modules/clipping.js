@@ -0,0 +1,252 @@
+/**
+ * CLIPPING MODULE
+ *
+ * Provides cross-section cutting through the device. Maintains a shared list of
+ * world-space THREE.Plane objects that CAD materials, isosurface materials and
+ * the volume raymarch all read, so every layer is cut consistently.
+ *
+ * Features:
+ * - Axis-aligned X/Y/Z planes positioned within the assembly bounds
+ * - One free-oriented plane driven by a translate/rotate gizmo (TransformControls)
+ * - Up to three planes active at once
+ * - Per-plane flip and optional plane helpers
+ */
+
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import { setTooltip } from './gui_utils.js';
+
+// Maximum number of simultaneously active clipping planes
+const MAX_PLANES = 3;
+
+const AXES = {
+  X: new THREE.Vector3(1, 0, 0),
+  Y: new THREE.Vector3(0, 1, 0),
+  Z: new THREE.Vector3(0, 0, 1)
+};
+
+export function setupClipping({ gui, scene, camera, renderer, controls, getBounds }) {
+  const folder = gui.addFolder('Clipping');
+
+  // Shared, mutated in place: consumers keep a reference to this array
+  const planes = [];
+  const listeners = [];
+
+  const log = (msg) => {
+    try {
+      window.logEvent ? window.logEvent(msg) : console.log(msg);
+    } catch {
+      console.log(msg);
+    }
+  };
+
+  renderer.localClippingEnabled = true;
+
+  // =============================================================================
+  // STATE
+  // =============================================================================
+
+  const state = {
+    showHelpers: true,
+    gizmoMode: 'Translate',   // 'Translate' | 'Rotate'
+    clearAll: () => {
+      Object.values(entries).forEach(e => {
+        e.params.enabled = false;
+        e.enabledCtrl.updateDisplay?.();
+      });
+      rebuild();
+    }
+  };
+
+  // One entry per plane kind (X, Y, Z, Free)
+  const entries = {};
+
+  // Free plane handle: its position is the plane origin, its local +Z the normal
+  const freeHandle = new THREE.Object3D();
+  freeHandle.name = 'ClipFreePlaneHandle';
+  scene.add(freeHandle);
+
+  let gizmo = null;
+  try {
+    gizmo = new TransformControls(camera, renderer.domElement);
+    gizmo.setSize?.(0.8);
+    gizmo.addEventListener('dragging-changed', (ev) => {
+      if (controls) controls.enabled = !ev.value;
+    });
+    gizmo.addEventListener('objectChange', () => updatePlanes());
+    const helper = gizmo.getHelper ? gizmo.getHelper() : gizmo;
+    helper.visible = false;
+    scene.add(helper);
+  } catch (e) {
+    console.warn('Clipping gizmo unavailable', e);
+    gizmo = null;
+  }
+
+  // =============================================================================
+  // PLANE MANAGEMENT
+  // =============================================================================
+
+  /**
+   * Returns the current assembly bounds, falling back to a unit-ish box
+   */
+  function currentBounds() {
+    const box = getBounds?.();
+    if (box && !box.isEmpty()) return box;
+    return new THREE.Box3(new THREE.Vector3(-0.15, -0.15, -0.15), new THREE.Vector3(0.15, 0.15, 0.15));
+  }
+
+  /**
+   * Recomputes plane equations from UI parameters and the gizmo
+   */
+  function updatePlanes() {
+    const box = currentBounds();
+    const size = box.getSize(new THREE.Vector3());
+    const helperSize = Math.max(size.x, size.y, size.z) * 1.2;
+
+    Object.entries(entries).forEach(([kind, e]) => {
+      if (kind === 'Free') {
+        const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(freeHandle.quaternion).normalize();
+        if (e.params.flip) normal.negate();
+        e.plane.setFromNormalAndCoplanarPoint(normal, freeHandle.position);
+      } else {
+        const axis = AXES[kind];
+        const a = kind.toLowerCase();
+        const coord = box.min[a] + e.params.position * (box.max[a] - box.min[a]);
+        // Keep the side with larger coordinates unless flipped
+        const normal = axis.clone().multiplyScalar(e.params.flip ? -1 : 1);
+        e.plane.set(normal, -normal.dot(axis.clone().multiplyScalar(coord)));
+      }
+      if (e.helper) {
+        e.helper.size = helperSize;
+        e.helper.visible = state.showHelpers && e.params.enabled;
+      }
+    });
+    listeners.forEach(fn => { try { fn(planes); } catch {} });
+  }
+
+  /**
+   * Rebuilds the shared active-plane list after enabling/disabling planes
+   */
+  function rebuild() {
+    planes.length = 0;
+    Object.values(entries).forEach(e => {
+      if (e.params.enabled) planes.push(e.plane);
+    });
+
+    const freeOn = !!entries.Free?.params.enabled;
+    if (gizmo) {
+      if (freeOn) {
+        if (gizmo.object !== freeHandle) gizmo.attach(freeHandle);
+      } else {
+        gizmo.detach();
+      }
+      const helper = gizmo.getHelper ? gizmo.getHelper() : gizmo;
+      helper.visible = freeOn && state.showHelpers;
+    }
+
+    updatePlanes();
+  }
+
+  /**
+   * Creates UI and plane objects for one plane kind
+   */
+  function addPlaneControls(kind, color) {
+    const sub = folder.addFolder(kind === 'Free' ? 'Free plane' : `${kind} plane`);
+    const params = { enabled: false, position: 0.5, flip: false };
+    const plane = new THREE.Plane(new THREE.Vector3(1, 0, 0), 0);
+    const helper = new THREE.PlaneHelper(plane, 0.3, color);
+    helper.visible = false;
+    if (helper.material) {
+      helper.material.transparent = true;
+      helper.material.opacity = 0.6;
+    }
+    scene.add(helper);
+
+    const entry = { params, plane, helper, enabledCtrl: null };
+    entries[kind] = entry;
+
+    entry.enabledCtrl = sub.add(params, 'enabled')
+      .name('Enabled')
+      .onChange(v => {
+        if (v && planes.length >= MAX_PLANES) {
+          params.enabled = false;
+          entry.enabledCtrl.updateDisplay?.();
+          log(`Clipping: At most ${MAX_PLANES} planes can be active at once.`);
+          return;
+        }
+        if (v && kind === 'Free') {
+          // Start the free plane at the assembly center
+          if (freeHandle.position.lengthSq() === 0) {
+            currentBounds().getCenter(freeHandle.position);
+          }
+        }
+        rebuild();
+        log(`Clipping: ${kind} plane ${v ? 'enabled' : 'disabled'}`);
+      });
+    setTooltip(entry.enabledCtrl, `Cut CAD, volume and isosurfaces with the ${kind} plane`);
+
+    if (kind !== 'Free') {
+      const posCtrl = sub.add(params, 'position', 0, 1, 0.001)
+        .name('Position')
+        .onChange(updatePlanes);
+      setTooltip(posCtrl, 'Plane position as a fraction of the assembly bounds along this axis');
+    }
+
+    const flipCtrl = sub.add(params, 'flip')
+      .name('Flip side')
+      .onChange(updatePlanes);
+    setTooltip(flipCtrl, 'Keep the opposite side of the plane');
+
+    return entry;
+  }
+
+  // =============================================================================
+  // UI CONTROLS
+  // =============================================================================
+
+  addPlaneControls('X', 0xe74c3c);
+  addPlaneControls('Y', 0x2ecc71);
+  addPlaneControls('Z', 0x3498db);
+  addPlaneControls('Free', 0xffd166);
+
+  const modeCtrl = folder.add(state, 'gizmoMode', ['Translate', 'Rotate'])
+    .name('Gizmo mode')
+    .onChange(v => gizmo?.setMode(v === 'Rotate' ? 'rotate' : 'translate'));
+  setTooltip(modeCtrl, 'Move or rotate the free plane with the on-screen gizmo');
+
+  const helpersCtrl = folder.add(state, 'showHelpers')
+    .name('Show planes')
+    .onChange(rebuild);
+  setTooltip(helpersCtrl, 'Draw outlines for active clipping planes');
+
+  const clearCtrl = folder.add(state, 'clearAll').name('Clear all');
+  setTooltip(clearCtrl, 'Disable every clipping plane');
+
+  rebuild();
+
+  // Re-fit axis planes once the assembly bounds become available or change
+  let lastBoundsKey = '';
+  try {
+    window.__registerUpdater?.(() => {
+      if (!planes.length) return;
+      const box = currentBounds();
+      const key = [...box.min.toArray(), ...box.max.toArray()].map(v => v.toFixed(5)).join(',');
+      if (key !== lastBoundsKey) {
+        lastBoundsKey = key;
+        updatePlanes();
+      }
+    });
+  } catch {}
+
+  return {
+    folder,
+    planes,
+    /**
+     * Registers a callback fired whenever plane equations change
+     */
+    onChange(fn) {
+      if (typeof fn === 'function') listeners.push(fn);
+    },
+    update: updatePlanes
+  };
+}
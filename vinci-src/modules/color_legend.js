@@ -0,0 +1,227 @@
+/**
+ * COLOR LEGEND MODULE
+ *
+ * On-screen scalar bars explaining the colors in the view: the heat map
+ * colormap over the display window while the volume or surface heat map is
+ * shown, and the |∇T| ramp of gradient-colored isosurfaces while one is visible.
+ *
+ * Features:
+ * - Temperature bar in °C, K or °F with "nice" tick values
+ * - Follows window, colormap and unit changes immediately
+ * - |∇T| bar (per mm) for the most recent visible gradient-colored isosurface
+ * - Drawn on a canvas that screenshots can composite (getCanvas)
+ */
+
+import { setTooltip } from './gui_utils.js';
+import { sampleColormap } from './transfer_function.js';
+
+export const TEMPERATURE_UNITS = {
+  '°C': { fromC: (c) => c, scale: 1 },
+  'K': { fromC: (c) => c + 273.15, scale: 1 },
+  '°F': { fromC: (c) => c * 9 / 5 + 32, scale: 9 / 5 }
+};
+
+const GRADIENT_COLORMAP = 'Green-Yellow-Red';   // Ramp used by createGradientMaterial
+const BAR_W = 16;
+const BAR_H = 180;
+const COLUMN_W = 104;
+const PAD = 10;
+const TITLE_H = 28;
+const FONT = '11px ui-monospace, Menlo, Consolas, monospace';
+
+/**
+ * Evenly spaced round tick values covering [lo, hi]
+ */
+function niceTicks(lo, hi, maxTicks = 6) {
+  const span = hi - lo;
+  if (!(span > 0)) return [lo];
+  const raw = span / Math.max(1, maxTicks - 1);
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * mag).find(s => s >= raw) || raw;
+  const ticks = [];
+  for (let v = Math.ceil(lo / step - 1e-9) * step; v <= hi + step * 1e-6; v += step) ticks.push(v);
+  return ticks;
+}
+
+const tickDecimals = (ticks) => {
+  const step = ticks.length > 1 ? Math.abs(ticks[1] - ticks[0]) : 1;
+  return Math.max(0, Math.min(3, -Math.floor(Math.log10(step) + 1e-9)));
+};
+
+export function setupColorLegend({ gui, renderer, raymarch, surfaceHeat, getIsoMeshes }) {
+  const folder = gui.addFolder('Legend');
+
+  // =============================================================================
+  // STATE
+  // =============================================================================
+
+  const state = {
+    visible: true,
+    units: '°C',
+    showGradient: true
+  };
+  let signature = '';   // Inputs of the last drawing (redraw only when they change)
+  let shown = false;    // Whether the canvas currently shows any bar
+
+  // =============================================================================
+  // OVERLAY CANVAS
+  // =============================================================================
+
+  const canvas = document.createElement('canvas');
+  canvas.style.position = 'absolute';
+  canvas.style.left = '20px';
+  canvas.style.bottom = '20px';
+  canvas.style.pointerEvents = 'none';
+  canvas.style.zIndex = '200';
+  (renderer.domElement.parentElement || document.body).appendChild(canvas);
+  const ctx = canvas.getContext('2d');
+
+  // =============================================================================
+  // UI CONTROLS
+  // =============================================================================
+
+  const visibleCtrl = folder.add(state, 'visible')
+    .name('Show legend')
+    .onChange(() => refresh(true));
+  setTooltip(visibleCtrl, 'Scalar bars for the heat map and |∇T| colors, while they are shown (included in exported images)');
+
+  const unitsCtrl = folder.add(state, 'units', Object.keys(TEMPERATURE_UNITS))
+    .name('Units')
+    .onChange(() => refresh(true));
+  setTooltip(unitsCtrl, 'Temperature unit of the legend ticks');
+
+  const gradCtrl = folder.add(state, 'showGradient')
+    .name('|∇T| bar')
+    .onChange(() => refresh(true));
+  setTooltip(gradCtrl, 'Also show the gradient-magnitude scale while a gradient-colored isosurface is visible');
+
+  // =============================================================================
+  // DRAWING
+  // =============================================================================
+
+  /**
+   * Most recent visible isosurface colored by gradient magnitude
+   */
+  function visibleGradientIso() {
+    const meshes = getIsoMeshes?.() || [];
+    for (let i = meshes.length - 1; i >= 0; i--) {
+      const m = meshes[i];
+      const iso = m?.userData?.iso;
+      if (!iso?.gradientRange || iso.mode !== 'Gradient') continue;
+      let n = m;
+      let shown = true;
+      while (n) { if (!n.visible) { shown = false; break; } n = n.parent; }
+      if (shown) return m;
+    }
+    return null;
+  }
+
+  /**
+   * Draws one vertical scalar bar in a column
+   */
+  function drawBar(x, title, colormap, lo, hi, unitLabel) {
+    ctx.fillStyle = '#e6e6e6';
+    ctx.font = FONT;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(title, x, PAD);
+    ctx.fillStyle = '#aaaaaa';
+    ctx.fillText(unitLabel, x, PAD + 13);
+
+    const top = PAD + TITLE_H;
+    for (let y = 0; y < BAR_H; y++) {
+      const [r, g, b] = sampleColormap(colormap, 1 - y / (BAR_H - 1));
+      ctx.fillStyle = `rgb(${Math.round(r * 255)},${Math.round(g * 255)},${Math.round(b * 255)})`;
+      ctx.fillRect(x, top + y, BAR_W, 1);
+    }
+    ctx.strokeStyle = 'rgba(255,255,255,0.6)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x + 0.5, top + 0.5, BAR_W - 1, BAR_H - 1);
+
+    const ticks = niceTicks(lo, hi);
+    const decimals = tickDecimals(ticks);
+    ctx.fillStyle = '#e6e6e6';
+    ctx.textBaseline = 'middle';
+    ticks.forEach(v => {
+      const y = top + (1 - (v - lo) / Math.max(1e-12, hi - lo)) * (BAR_H - 1);
+      ctx.fillRect(x + BAR_W, Math.round(y), 4, 1);
+      ctx.fillText(v.toFixed(decimals), x + BAR_W + 7, y);
+    });
+  }
+
+  /**
+   * True while the heat map colors are on screen (volume raymarch or surface heat)
+   */
+  const heatShown = () => !!(raymarch?.isEnabled?.() || surfaceHeat?.isEnabled?.());
+
+  function draw(heat, grad) {
+    const tf = raymarch?.transferFunction;
+    const [winMin, winMax] = raymarch?.getWindow?.() ?? [0, 1];
+    const unit = TEMPERATURE_UNITS[state.units];
+    const columns = (heat ? 1 : 0) + (grad ? 1 : 0);
+
+    const dpr = window.devicePixelRatio || 1;
+    const w = PAD * 2 + COLUMN_W * columns;
+    const h = PAD * 2 + TITLE_H + BAR_H;
+    canvas.width = Math.round(w * dpr);
+    canvas.height = Math.round(h * dpr);
+    canvas.style.width = `${w}px`;
+    canvas.style.height = `${h}px`;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+
+    // Backdrop is part of the canvas so composited screenshots keep it
+    ctx.fillStyle = 'rgba(0,0,0,0.45)';
+    ctx.beginPath();
+    ctx.roundRect ? ctx.roundRect(0, 0, w, h, 6) : ctx.rect(0, 0, w, h);
+    ctx.fill();
+
+    if (heat) {
+      drawBar(PAD, 'Temperature', tf?.getColormap?.() ?? GRADIENT_COLORMAP,
+        unit.fromC(Math.min(winMin, winMax)), unit.fromC(Math.max(winMin, winMax)), state.units);
+    }
+
+    if (grad) {
+      const iso = grad.userData.iso;
+      const [gMin, gMax] = iso.gradientRange;   // °C/m
+      const perMm = unit.scale / 1000;
+      drawBar(PAD + (heat ? COLUMN_W : 0), `|∇T| @${Number(iso.levelDeg).toFixed(1)}°`, GRADIENT_COLORMAP,
+        gMin * perMm, gMax * perMm, `${state.units}/mm`);
+    }
+  }
+
+  /**
+   * Redraws when the heat maps, window, colormap, units or visible isosurfaces changed
+   */
+  function refresh(force = false) {
+    const heat = heatShown();
+    const grad = state.showGradient ? visibleGradientIso() : null;
+    const sig = JSON.stringify([
+      state.visible, heat, state.units, raymarch?.getWindow?.(), raymarch?.transferFunction?.getColormap?.(),
+      grad ? [grad.uuid, grad.userData.iso.gradientRange] : null
+    ]);
+    if (!force && sig === signature) return;
+    signature = sig;
+    shown = state.visible && (heat || !!grad);
+    canvas.style.display = shown ? 'block' : 'none';
+    if (shown) draw(heat, grad);
+  }
+
+  raymarch?.onChange?.(() => refresh());
+
+  // Isosurfaces are toggled in another panel; poll their visibility cheaply
+  try {
+    const register = window.__registerUpdater;
+    register?.(() => refresh());
+  } catch {}
+
+  refresh(true);
+  folder.close?.();
+
+  return {
+    folder,
+    /** Legend canvas for compositing into exported images, or null when hidden */
+    getCanvas: () => (shown ? canvas : null),
+    getUnits: () => state.units
+  };
+}
@@ -0,0 +1,302 @@
+/**
+ * COMPONENT STATISTICS MODULE
+ *
+ * Per-component thermal report: min / max / mean / p95 temperature of the
+ * voxels belonging to each CAD component, computed in a Web Worker.
+ *
+ * Features:
+ * - Region = component bounding box from bboxes.json
+ * - Optional "inside mesh" region by voxelizing the component (ray parity)
+ * - Sortable table embedded in the panel (click a column header)
+ * - CSV / JSON export
+ */
+
+import * as THREE from 'three';
+import { setTooltip, embedElement } from './gui_utils.js';
+import { downloadBlob, downloadJSON } from '../core/files.js';
+
+const COLUMNS = [
+  { key: 'name', label: 'Component' },
+  { key: 'min', label: 'Min' },
+  { key: 'max', label: 'Max' },
+  { key: 'mean', label: 'Mean' },
+  { key: 'p95', label: 'P95' }
+];
+
+export function setupComponentStats({ gui, components, getBBoxIndex, getModels, getPartOffset, volumeData }) {
+  const folder = gui.addFolder('Component Stats');
+
+  const log = (msg) => {
+    try {
+      window.logEvent ? window.logEvent(msg) : console.log(msg);
+    } catch {
+      console.log(msg);
+    }
+  };
+
+  // =============================================================================
+  // STATE
+  // =============================================================================
+
+  let results = [];
+  let sortKey = 'max';
+  let sortDesc = true;
+  let running = false;
+
+  const state = {
+    insideMesh: false,
+    compute: () => compute(),
+    exportCSV: () => exportCSV(),
+    exportJSON: () => exportJSON()
+  };
+
+  // =============================================================================
+  // UI CONTROLS
+  // =============================================================================
+
+  const meshCtrl = folder.add(state, 'insideMesh').name('Inside mesh only');
+  setTooltip(meshCtrl,
+    'Voxelize each component (coarsest LOD) and only count voxels inside it; ' +
+    'falls back to the bounding box for open or sub-voxel meshes'
+  );
+
+  const computeCtrl = folder.add(state, 'compute').name('Compute');
+  setTooltip(computeCtrl, 'Compute min/max/mean/p95 temperature per component');
+
+  const table = document.createElement('div');
+  table.style.maxHeight = '260px';
+  table.style.overflow = 'auto';
+  table.style.width = '100%';
+  table.style.font = '11px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace';
+  table.textContent = 'No statistics yet – press Compute.';
+  embedElement(folder, table);
+
+  const csvCtrl = folder.add(state, 'exportCSV').name('Export CSV');
+  setTooltip(csvCtrl, 'Download the table as CSV');
+  const jsonCtrl = folder.add(state, 'exportJSON').name('Export JSON');
+  setTooltip(jsonCtrl, 'Download the table as JSON');
+
+  // =============================================================================
+  // TABLE RENDERING
+  // =============================================================================
+
+  function renderTable() {
+    if (!results.length) return;
+
+    const rows = results.slice().sort((a, b) => {
+      const va = a[sortKey], vb = b[sortKey];
+      let cmp;
+      if (typeof va === 'string') cmp = va.localeCompare(vb);
+      else cmp = (isFinite(va) ? va : -Infinity) - (isFinite(vb) ? vb : -Infinity);
+      return sortDesc ? -cmp : cmp;
+    });
+
+    const el = document.createElement('table');
+    el.style.width = '100%';
+    el.style.borderCollapse = 'collapse';
+
+    const head = el.createTHead().insertRow();
+    COLUMNS.forEach(col => {
+      const th = document.createElement('th');
+      th.textContent = col.label + (sortKey === col.key ? (sortDesc ? ' ▼' : ' ▲') : '');
+      th.style.textAlign = col.key === 'name' ? 'left' : 'right';
+      th.style.cursor = 'pointer';
+      th.style.padding = '2px 4px';
+      th.style.borderBottom = '1px solid rgba(255,255,255,0.2)';
+      th.title = `Sort by ${col.label}`;
+      th.addEventListener('click', () => {
+        if (sortKey === col.key) sortDesc = !sortDesc;
+        else { sortKey = col.key; sortDesc = col.key !== 'name'; }
+        renderTable();
+      });
+      head.appendChild(th);
+    });
+
+    const body = el.createTBody();
+    rows.forEach(r => {
+      const tr = body.insertRow();
+      tr.title = `${r.name}: ${r.voxels} voxels (${r.region === 'mesh' ? 'inside mesh' : 'bounding box'})`;
+      COLUMNS.forEach(col => {
+        const td = tr.insertCell();
+        td.style.padding = '1px 4px';
+        td.style.textAlign = col.key === 'name' ? 'left' : 'right';
+        if (col.key === 'name') {
+          td.textContent = r.name + (r.region === 'mesh' ? ' *' : '');
+        } else {
+          td.textContent = isFinite(r[col.key]) ? r[col.key].toFixed(2) : '—';
+        }
+      });
+    });
+
+    table.textContent = '';
+    table.appendChild(el);
+    const note = document.createElement('div');
+    note.style.opacity = '0.7';
+    note.style.padding = '3px 4px';
+    note.textContent = 'Values in °C. * = voxels inside the mesh.';
+    table.appendChild(note);
+  }
+
+  // =============================================================================
+  // COMPUTATION
+  // =============================================================================
+
+  /**
+   * Collects world-space triangles (9 floats each) from the coarsest LOD level,
+   * at the assembled position (exploded displacement removed) like bboxes.json
+   */
+  function collectTriangles(lod, offset) {
+    const levels = lod?.levels || [];
+    const obj = levels[levels.length - 1]?.object;
+    if (!obj) return null;
+    obj.updateMatrixWorld(true);
+
+    const chunks = [];
+    let total = 0;
+    const v = new THREE.Vector3();
+    obj.traverse(n => {
+      if (!n.isMesh || !n.geometry?.attributes?.position) return;
+      const pos = n.geometry.attributes.position;
+      const index = n.geometry.index;
+      const count = index ? index.count : pos.count;
+      const out = new Float32Array(count * 3);
+      for (let i = 0; i < count; i++) {
+        const vi = index ? index.getX(i) : i;
+        v.fromBufferAttribute(pos, vi).applyMatrix4(n.matrixWorld);
+        if (offset) v.sub(offset);
+        out[i * 3] = v.x;
+        out[i * 3 + 1] = v.y;
+        out[i * 3 + 2] = v.z;
+      }
+      chunks.push(out);
+      total += out.length;
+    });
+
+    const tris = new Float32Array(total);
+    let off = 0;
+    chunks.forEach(c => { tris.set(c, off); off += c.length; });
+    return tris;
+  }
+
+  async function compute() {
+    if (running) return;
+    const bboxIndex = getBBoxIndex?.();
+    if (!bboxIndex?.items) {
+      log('Stats: Bounding boxes not loaded yet.');
+      return;
+    }
+
+    running = true;
+    computeCtrl.disable?.();
+    try {
+      const vol = await volumeData?.load();
+      if (!vol) {
+        log('Stats: Volume not available.');
+        return;
+      }
+
+      const models = getModels?.() || {};
+      const comps = [];
+      const transfer = [];
+      components.forEach(name => {
+        const bb = bboxIndex.items[name]?.bbox;
+        if (!bb?.min || !bb?.max) return;
+        const comp = { name, min: bb.min, max: bb.max };
+        if (state.insideMesh) {
+          const tris = collectTriangles(models[name]?.mesh, getPartOffset?.(name));
+          if (tris?.length) {
+            comp.triangles = tris;
+            transfer.push(tris.buffer);
+          }
+        }
+        comps.push(comp);
+      });
+
+      log(`Stats: Computing ${comps.length} components (${state.insideMesh ? 'inside mesh' : 'bounding box'}) ...`);
+      table.textContent = 'Computing ...';
+
+      const copyBuf = vol.data.slice().buffer;
+      const worker = new Worker(new URL('../workers/stats_worker.js', import.meta.url), { type: 'module' });
+
+      results = await new Promise((resolve, reject) => {
+        worker.onmessage = (ev) => {
+          const msg = ev.data || {};
+          if (msg.progress !== undefined && !msg.results) {
+            table.textContent = `Computing ... ${Math.round(msg.progress * 100)}% (${msg.name})`;
+            return;
+          }
+          worker.terminate();
+          if (msg.error) log(`Stats: Worker error – ${msg.error}`);
+          resolve(msg.results || []);
+        };
+        worker.onerror = (e) => {
+          worker.terminate();
+          log('Stats: Worker error – see console');
+          reject(e);
+        };
+        worker.postMessage({
+          dims: vol.dims,
+          spacing: vol.spacing,
+          origin: vol.origin,
+          valueRange: vol.valueRange,
+          dtype: vol.dtype,
+          data: copyBuf,
+          components: comps
+        }, [copyBuf, ...transfer]);
+      });
+
+      renderTable();
+      const hottest = results.reduce((a, b) => (isFinite(b.max) && (!a || b.max > a.max) ? b : a), null);
+      if (hottest) log(`Stats: Hottest component is ${hottest.name} (max ${hottest.max.toFixed(2)} °C)`);
+    } catch (e) {
+      console.warn('Component stats failed', e);
+      table.textContent = 'Statistics failed – see console.';
+    } finally {
+      running = false;
+      computeCtrl.enable?.();
+    }
+  }
+
+  // =============================================================================
+  // EXPORT
+  // =============================================================================
+
+  function exportRows() {
+    return results.map(r => ({
+      component: r.name,
+      region: r.region,
+      voxels: r.voxels,
+      min_C: r.min,
+      max_C: r.max,
+      mean_C: r.mean,
+      p95_C: r.p95
+    }));
+  }
+
+  function exportCSV() {
+    if (!results.length) {
+      log('Stats: Nothing to export – press Compute first.');
+      return;
+    }
+    const rows = exportRows();
+    const header = Object.keys(rows[0]);
+    const fmt = (v) => (typeof v === 'number' ? (isFinite(v) ? String(+v.toFixed(4)) : '') : String(v));
+    const csv = [header.join(',')]
+      .concat(rows.map(r => header.map(h => fmt(r[h])).join(',')))
+      .join('\n');
+    downloadBlob('component_stats.csv', csv, 'text/csv');
+  }
+
+  function exportJSON() {
+    if (!results.length) {
+      log('Stats: Nothing to export – press Compute first.');
+      return;
+    }
+    downloadJSON('component_stats.json', exportRows());
+  }
+
+  return {
+    folder,
+    getResults: () => results.slice()
+  };
+}
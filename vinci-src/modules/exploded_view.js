@@ -0,0 +1,195 @@
+/**
+ * EXPLODED VIEW MODULE
+ *
+ * Pulls the tightly stacked assembly apart so inner parts can be seen.
+ * Each component's THREE.LOD is moved along a direction derived from its
+ * bbox center relative to the assembly center; layered groups move along a
+ * fixed axis instead (PCB layers fan out along Z in stacking order).
+ *
+ * Features:
+ * - Explode amount slider, animated smoothly in the updater loop
+ * - Per-group rules: screen lifts off, shell drops down, PCB layers spread along Z
+ * - The thermal volume and isosurfaces can follow a chosen component
+ * - Reset returns every component to its exact assembled position
+ */
+
+import * as THREE from 'three';
+import { setTooltip } from './gui_utils.js';
+
+// Components matching a rule move along its axis instead of radially.
+// stack: [low, high] spreads the group's members between these levels in Z order.
+const EXPLODE_GROUPS = [
+  { pattern: /^display$/, axis: [0, 0, 1], level: 1.6 },            // Screen lifts off the top
+  { pattern: /^enclusure$/, axis: [0, 0, -1], level: 0.6 },         // Shell drops down
+  { pattern: /^(pcb_|section\d)/, axis: [0, 0, 1], stack: [0.3, 1.2] } // PCB layers fan out along Z
+];
+
+const EXPLODE_SCALE = 0.5;   // Full explode moves a level-1 component by half the assembly radius
+const SMOOTHING = 8;         // Animation rate (1/s) of the exponential approach to the target
+
+export function setupExplodedView({ gui, getModels, getBBoxIndex, setVolumeOffset }) {
+  const folder = gui.addFolder('Exploded View');
+
+  const log = (msg) => {
+    try {
+      window.logEvent ? window.logEvent(msg) : console.log(msg);
+    } catch {
+      console.log(msg);
+    }
+  };
+
+  // =============================================================================
+  // STATE
+  // =============================================================================
+
+  let layout = null;        // { radius, items: { name: { dir: Vector3, level } } }
+  let current = 0;          // Displayed explode amount (animated towards state.amount)
+  let lastTime = 0;
+  const rest = new Map();   // LOD -> assembled position
+  const restBoxes = new Map();  // Box3Helper -> assembled box
+
+  const state = {
+    amount: 0,
+    followVolume: 'None',
+    reset: () => {
+      amountCtrl.setValue(0);
+    }
+  };
+
+  // =============================================================================
+  // UI CONTROLS
+  // =============================================================================
+
+  const amountCtrl = folder.add(state, 'amount', 0, 1, 0.01)
+    .name('Explode')
+    .onChange(v => {
+      if (v > 0 && !layout) layout = computeLayout();
+    })
+    .onFinishChange(v => log(`Exploded view: ${Math.round(v * 100)}%`));
+  setTooltip(amountCtrl, 'Move components apart from the assembly center (0 = assembled)');
+
+  const followCtrl = folder.add(state, 'followVolume', ['None'])
+    .name('Volume follows')
+    .onChange(() => applyOffsets());
+  setTooltip(followCtrl, 'Move the heat map and isosurfaces together with this component');
+
+  const resetCtrl = folder.add(state, 'reset').name('Reset');
+  setTooltip(resetCtrl, 'Animate all components back to the assembled position');
+
+  folder.close?.();
+
+  // =============================================================================
+  // LAYOUT
+  // =============================================================================
+
+  /**
+   * Direction and displacement level of every loaded component
+   */
+  function computeLayout() {
+    const models = getModels?.() || {};
+    const items = getBBoxIndex?.()?.items || {};
+    const boxes = {};
+    const all = new THREE.Box3();
+    Object.keys(models).forEach(name => {
+      const bbox = items[name]?.bbox;
+      if (!Array.isArray(bbox?.min) || !Array.isArray(bbox?.max)) return;
+      boxes[name] = new THREE.Box3(new THREE.Vector3().fromArray(bbox.min), new THREE.Vector3().fromArray(bbox.max));
+      all.union(boxes[name]);
+    });
+    if (all.isEmpty()) return null;
+
+    const center = all.getCenter(new THREE.Vector3());
+    const radius = Math.max(1e-6, all.getSize(new THREE.Vector3()).length() * 0.5);
+    const out = {};
+
+    // Stacked groups: rank members along the axis by their bbox center
+    EXPLODE_GROUPS.forEach(group => {
+      const axis = new THREE.Vector3().fromArray(group.axis).normalize();
+      const members = Object.keys(boxes).filter(n => group.pattern.test(n) && !out[n]);
+      const along = (n) => boxes[n].getCenter(new THREE.Vector3()).dot(axis);
+      members.sort((a, b) => along(a) - along(b));
+      members.forEach((name, i) => {
+        const level = group.stack
+          ? group.stack[0] + (group.stack[1] - group.stack[0]) * (members.length > 1 ? i / (members.length - 1) : 1)
+          : group.level;
+        out[name] = { dir: axis.clone(), level };
+      });
+    });
+
+    // Everything else moves radially, outer parts further
+    Object.keys(boxes).forEach(name => {
+      if (out[name]) return;
+      const offset = boxes[name].getCenter(new THREE.Vector3()).sub(center);
+      const len = offset.length();
+      out[name] = len > 1e-9
+        ? { dir: offset.divideScalar(len), level: len / radius }
+        : { dir: new THREE.Vector3(), level: 0 };
+    });
+
+    return { radius, items: out };
+  }
+
+  // =============================================================================
+  // ANIMATION
+  // =============================================================================
+
+  const tmp = new THREE.Vector3();
+
+  /**
+   * Displacement of a component at the displayed explode amount
+   */
+  function offsetOf(name, out) {
+    const item = layout?.items[name];
+    if (!item) return out.set(0, 0, 0);
+    return out.copy(item.dir).multiplyScalar(item.level * current * layout.radius * EXPLODE_SCALE);
+  }
+
+  function applyOffsets() {
+    const models = getModels?.() || {};
+    Object.entries(models).forEach(([name, entry]) => {
+      const obj = entry?.mesh;
+      if (!obj) return;
+      if (!rest.has(obj)) rest.set(obj, obj.position.clone());
+      obj.position.copy(rest.get(obj)).add(offsetOf(name, tmp));
+
+      // Bounding box helpers are positioned from their box, not from the LOD
+      const helper = entry.bboxHelper;
+      if (helper?.box) {
+        if (!restBoxes.has(helper)) restBoxes.set(helper, helper.box.clone());
+        helper.box.copy(restBoxes.get(helper)).translate(tmp);
+      }
+    });
+    const follow = state.followVolume !== 'None' ? state.followVolume : null;
+    setVolumeOffset?.(follow ? offsetOf(follow, new THREE.Vector3()) : new THREE.Vector3());
+  }
+
+  try {
+    const register = window.__registerUpdater;
+    register?.(({ time }) => {
+      const now = time ?? performance.now();
+      const dt = lastTime ? Math.min(0.1, (now - lastTime) / 1000) : 0;
+      lastTime = now;
+      if (current === state.amount) return;
+
+      current += (state.amount - current) * (1 - Math.exp(-SMOOTHING * dt));
+      if (Math.abs(state.amount - current) < 1e-3) current = state.amount;
+      applyOffsets();
+      if (current === 0) layout = null;   // Recomputed on the next explode (bboxes may have changed)
+    });
+  } catch {}
+
+  return {
+    folder,
+    /** Whether components are currently displaced */
+    isExploded: () => current > 0,
+    /**
+     * Current displacement of a component (zero when assembled)
+     * @returns {THREE.Vector3}
+     */
+    getOffset: (name) => offsetOf(name, new THREE.Vector3()),
+    /** Lists the loaded components as "Volume follows" choices */
+    refresh() {
+      followCtrl.options(['None', ...Object.keys(getModels?.() || {}).sort()]);
+    }
+  };
+}
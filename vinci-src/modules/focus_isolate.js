@@ -0,0 +1,179 @@
+/**
+ * FOCUS / ISOLATE MODULE
+ *
+ * Double-click a CAD component to fly the camera to its bounding box and,
+ * optionally, isolate it by ghosting or hiding every other component.
+ * Esc (or the Restore button) brings back the previous visibility and view.
+ *
+ * Features:
+ * - Frames the component's precomputed bbox (bboxes.json), keeping the view direction
+ * - Isolate: Off (frame only), Ghost (others translucent) or Hide (others hidden)
+ * - Ghosting uses the Ghost appearance as a temporary override, so the user's
+ *   per-component appearance comes back on restore
+ * - Double-clicking another component while isolated switches the focus
+ */
+
+import * as THREE from 'three';
+import { setTooltip } from './gui_utils.js';
+
+const ISOLATE_MODES = ['Off', 'Ghost', 'Hide'];
+
+export function setupFocusIsolate({
+  gui,
+  camera,
+  controls,
+  renderer,
+  picker,
+  getModels,
+  getBBoxIndex,
+  getClipPlanes,
+  setVisible,
+  setGhost,
+  bookmarks
+}) {
+  const folder = gui.addFolder('Focus / Isolate');
+
+  const log = (msg) => {
+    try {
+      window.logEvent ? window.logEvent(msg) : console.log(msg);
+    } catch {
+      console.log(msg);
+    }
+  };
+
+  // =============================================================================
+  // STATE
+  // =============================================================================
+
+  let saved = null;              // { visibility: { name: bool }, position, target } before the first focus
+
+  const state = {
+    enabled: true,
+    isolate: 'Ghost',
+    focused: '—',
+    restore: () => restore()
+  };
+
+  // =============================================================================
+  // UI CONTROLS
+  // =============================================================================
+
+  const enabledCtrl = folder.add(state, 'enabled').name('Double-click focus');
+  setTooltip(enabledCtrl, 'Double-click a component to frame it');
+
+  const isolateCtrl = folder.add(state, 'isolate', ISOLATE_MODES)
+    .name('Isolate')
+    .onChange(() => {
+      if (focusedName()) applyIsolation(focusedName());
+    });
+  setTooltip(isolateCtrl, 'Off: frame only. Ghost: other components become translucent. Hide: other components are hidden');
+
+  const focusedCtrl = folder.add(state, 'focused').name('Focused');
+  focusedCtrl.disable?.();
+
+  const restoreCtrl = folder.add(state, 'restore').name('Restore (Esc)');
+  setTooltip(restoreCtrl, 'Bring back the visibility and camera from before the focus');
+
+  const focusedName = () => (saved ? state.focused : null);
+
+  function clearGhosts() {
+    Object.keys(getModels?.() || {}).forEach(name => setGhost?.(name, false));
+  }
+
+  // =============================================================================
+  // FOCUS / RESTORE
+  // =============================================================================
+
+  /**
+   * World bounds of a component (bboxes.json, else computed from the geometry).
+   * The bbox index holds assembled positions, so the LOD's displacement is added.
+   */
+  function boundsOf(name) {
+    const obj = getModels?.()[name]?.mesh;
+    const bbox = getBBoxIndex?.()?.items?.[name]?.bbox;
+    if (Array.isArray(bbox?.min) && Array.isArray(bbox?.max)) {
+      const box = new THREE.Box3(new THREE.Vector3().fromArray(bbox.min), new THREE.Vector3().fromArray(bbox.max));
+      return obj ? box.translate(obj.position) : box;
+    }
+    return obj ? new THREE.Box3().setFromObject(obj) : null;
+  }
+
+  /**
+   * Ghosts / hides everything except the focused component, per the Isolate mode
+   */
+  function applyIsolation(name) {
+    const models = getModels?.() || {};
+    Object.keys(models).forEach(other => {
+      const keep = other === name;
+      const wasVisible = saved.visibility[other] !== false;
+      setGhost?.(other, state.isolate === 'Ghost' && !keep);
+      setVisible(other, keep || (state.isolate !== 'Hide' && wasVisible));
+    });
+  }
+
+  /**
+   * Frames a component and isolates it
+   * @param {string} name - Component folder name
+   */
+  function focus(name) {
+    const box = boundsOf(name);
+    if (!box || box.isEmpty()) return;
+
+    if (!saved) {
+      const visibility = {};
+      Object.entries(getModels?.() || {}).forEach(([n, entry]) => { visibility[n] = entry.visible !== false; });
+      saved = { visibility, position: camera.position.toArray(), target: controls.target.toArray() };
+    }
+    state.focused = name;
+    focusedCtrl.updateDisplay?.();
+
+    applyIsolation(name);
+
+    const dir = new THREE.Vector3().subVectors(camera.position, controls.target);
+    if (dir.lengthSq() === 0) dir.set(1, 1, 1);
+    const view = bookmarks?.viewForBox(box, dir);
+    if (view) bookmarks.flyTo(view.position, view.target);
+    log(`Focus: ${name}${state.isolate !== 'Off' ? ` (isolate: ${state.isolate.toLowerCase()})` : ''}`);
+  }
+
+  /**
+   * Restores the visibility and camera from before the first focus
+   */
+  function restore() {
+    if (!saved) return;
+    const { visibility, position, target } = saved;
+    saved = null;
+    clearGhosts();
+    Object.entries(visibility).forEach(([name, v]) => setVisible(name, v));
+    state.focused = '—';
+    focusedCtrl.updateDisplay?.();
+    bookmarks?.flyTo(position, target);
+    log('Focus: Restored previous view');
+  }
+
+  renderer.domElement.addEventListener('dblclick', (ev) => {
+    // Double clicks while a pick tool (probe, measure, annotate, ...) is active belong to that tool
+    if (!state.enabled || picker.getActiveTool()) return;
+    // Prefer the solid part under the cursor; fall back to a ghosted one so the focus can switch to it
+    const ndc = picker.toNDC(ev);
+    const hit = picker.pickCAD(ndc, getModels?.(), getClipPlanes?.()) ||
+      picker.pickCAD(ndc, getModels?.(), getClipPlanes?.(), { includeSeeThrough: true });
+    if (hit?.folder) focus(hit.folder);
+  });
+
+  window.addEventListener('keydown', (ev) => {
+    if (ev.key !== 'Escape' || !saved) return;
+    const tag = ev.target?.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA') return;
+    restore();
+  });
+
+  folder.close?.();
+
+  return {
+    folder,
+    focus,
+    restore,
+    getFocused: focusedName
+  };
+}
@@ -17,3 +17,27 @@ export function setTooltip(ctrl, text) {
     }
   } catch {}
 }
+
+
+/**
+ * Embeds an arbitrary DOM element (canvas, table, ...) as a full-width row
+ * inside a lil-gui folder, replacing the widget of a placeholder controller
+ * @param {Object} gui - lil-gui instance or folder
+ * @param {HTMLElement} element - Element to embed
+ * @returns {Object} The placeholder controller (for hide/show/destroy)
+ */
+export function embedElement(gui, element) {
+  const dummy = { value: '' };
+  const ctrl = gui.add(dummy, 'value');
+  try {
+    const widget = ctrl.domElement.querySelector('.widget');
+    if (widget) {
+      while (widget.firstChild) widget.removeChild(widget.firstChild);
+      widget.appendChild(element);
+    }
+    const nameEl = ctrl.domElement.querySelector('.name');
+    if (nameEl) nameEl.style.display = 'none';
+    ctrl.domElement.style.height = 'auto';
+  } catch {}
+  return ctrl;
+}
@@ -0,0 +1,229 @@
+/**
+ * HISTOGRAM MODULE
+ *
+ * Real temperature distribution of the volume: histogram, mean/std and
+ * percentiles computed in a Web Worker, plus a canvas widget that shows the
+ * histogram with the display window overlaid as draggable handles.
+ *
+ * Features:
+ * - computeHistogramStats(): worker-based histogram + percentiles (p1 … p99)
+ * - Log/linear count scale
+ * - Percentile markers (p10, p50, p95)
+ * - Drag window edges, or drag inside the window to shift it
+ */
+
+import { setTooltip, embedElement } from './gui_utils.js';
+
+/**
+ * Computes histogram statistics for a loaded volume in a Web Worker
+ * @param {{ data: Uint8Array|Uint16Array|Float32Array, dtype?: string, valueRange: number[] }} vol
+ * @returns {Promise<Object>} { min, max, mean, std, percentiles, histogram: { counts, binMin, binMax, total } }
+ */
+export function computeHistogramStats(vol) {
+  const worker = new Worker(new URL('../workers/histogram_worker.js', import.meta.url), { type: 'module' });
+  const copyBuf = vol.data.slice().buffer;
+
+  return new Promise((resolve, reject) => {
+    worker.onmessage = (ev) => {
+      worker.terminate();
+      const r = ev.data || {};
+      if (r.error) return reject(new Error(r.error));
+      resolve({
+        min: r.min,
+        max: r.max,
+        mean: r.mean,
+        std: r.std,
+        percentiles: r.percentiles,
+        histogram: { counts: r.counts, binMin: r.binMin, binMax: r.binMax, total: r.total }
+      });
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(e);
+    };
+    worker.postMessage({ data: copyBuf, dtype: vol.dtype, valueRange: vol.valueRange }, [copyBuf]);
+  });
+}
+
+/**
+ * Adds a histogram widget with a draggable display window to a folder
+ * @param {Object} params
+ * @param {Object} params.gui - lil-gui folder to populate
+ * @param {Function} params.getWindow - Returns [winMin, winMax] in °C
+ * @param {Function} params.setWindow - Applies a new (winMin, winMax) in °C
+ * @returns {{ setStats: Function, redraw: Function }}
+ */
+export function setupHistogramWidget({ gui, getWindow, setWindow }) {
+  let stats = null;
+
+  const state = { logScale: true };
+
+  const W = 280, H = 110, PAD = 8, AXIS = 14;
+  const canvas = document.createElement('canvas');
+  canvas.width = W;
+  canvas.height = H;
+  canvas.style.width = '100%';
+  canvas.style.height = `${H}px`;
+  canvas.style.display = 'block';
+  canvas.style.borderRadius = '6px';
+  canvas.style.background = 'rgba(0,0,0,0.25)';
+  canvas.style.cursor = 'ew-resize';
+  canvas.title = 'Drag the window edges (or inside the window to shift it)';
+  const ctx = canvas.getContext('2d');
+  embedElement(gui, canvas);
+
+  const logCtrl = gui.add(state, 'logScale')
+    .name('Log counts')
+    .onChange(redraw);
+  setTooltip(logCtrl, 'Logarithmic histogram counts (the ambient background dominates linear counts)');
+
+  const plotW = W - PAD * 2;
+  const plotH = H - PAD - AXIS;
+
+  // Histogram value domain (°C)
+  function domain() {
+    const h = stats?.histogram;
+    if (!h) return null;
+    const span = Math.max(1e-6, h.binMax - h.binMin);
+    return [h.binMin - span * 0.02, h.binMax + span * 0.02];
+  }
+
+  const toX = (v, d) => PAD + ((v - d[0]) / (d[1] - d[0])) * plotW;
+  const fromX = (x, d) => d[0] + ((x - PAD) / plotW) * (d[1] - d[0]);
+
+  function redraw() {
+    ctx.clearRect(0, 0, W, H);
+    const d = domain();
+    if (!d) {
+      ctx.fillStyle = '#999';
+      ctx.font = '11px ui-monospace, Menlo, Consolas, monospace';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('Histogram available once the volume is loaded', W / 2, H / 2);
+      return;
+    }
+
+    const { counts, binMin, binMax } = stats.histogram;
+    const n = counts.length;
+    const f = state.logScale ? (c) => Math.log10(1 + c) : (c) => c;
+    let peak = 0;
+    for (let i = 0; i < n; i++) peak = Math.max(peak, f(counts[i]));
+    peak = Math.max(peak, 1e-9);
+
+    // Bars
+    ctx.fillStyle = 'rgba(198,228,139,0.85)';
+    for (let i = 0; i < n; i++) {
+      if (!counts[i]) continue;
+      const v0 = binMin + ((i - 0.5) / (n - 1)) * (binMax - binMin);
+      const v1 = binMin + ((i + 0.5) / (n - 1)) * (binMax - binMin);
+      const x0 = toX(v0, d), x1 = toX(v1, d);
+      const h = (f(counts[i]) / peak) * plotH;
+      ctx.fillRect(x0, PAD + plotH - h, Math.max(1, x1 - x0), h);
+    }
+
+    // Window overlay
+    const [wMin, wMax] = getWindow();
+    const xa = toX(wMin, d), xb = toX(wMax, d);
+    ctx.fillStyle = 'rgba(255,209,102,0.15)';
+    ctx.fillRect(xa, PAD, xb - xa, plotH);
+    ctx.strokeStyle = '#ffd166';
+    ctx.lineWidth = 2;
+    [xa, xb].forEach(x => {
+      ctx.beginPath();
+      ctx.moveTo(x, PAD);
+      ctx.lineTo(x, PAD + plotH);
+      ctx.stroke();
+    });
+
+    // Percentile markers
+    const p = stats.percentiles || {};
+    ctx.lineWidth = 1;
+    ctx.font = '9px ui-monospace, Menlo, Consolas, monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    [['p10', 'p10'], ['p50', 'p50'], ['p95', 'p95']].forEach(([key, label]) => {
+      if (!isFinite(p[key])) return;
+      const x = toX(p[key], d);
+      ctx.strokeStyle = 'rgba(255,255,255,0.5)';
+      ctx.setLineDash([2, 2]);
+      ctx.beginPath();
+      ctx.moveTo(x, PAD);
+      ctx.lineTo(x, PAD + plotH);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = 'rgba(255,255,255,0.7)';
+      ctx.fillText(label, x, PAD);
+    });
+
+    // Axis labels
+    ctx.fillStyle = '#cccccc';
+    ctx.font = '10px ui-monospace, Menlo, Consolas, monospace';
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'left';
+    ctx.fillText(`${binMin.toFixed(1)}°C`, PAD, H - 1);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${binMax.toFixed(1)}°C`, PAD + plotW, H - 1);
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#ffd166';
+    ctx.fillText(`${wMin.toFixed(1)} – ${wMax.toFixed(1)}`, PAD + plotW / 2, H - 1);
+  }
+
+  // =============================================================================
+  // WINDOW DRAGGING
+  // =============================================================================
+
+  let drag = null;   // { mode: 'min' | 'max' | 'shift', start, win }
+
+  function eventX(ev) {
+    const rect = canvas.getBoundingClientRect();
+    return (ev.clientX - rect.left) * (W / Math.max(1, rect.width));
+  }
+
+  canvas.addEventListener('pointerdown', (ev) => {
+    const d = domain();
+    if (!d || ev.button !== 0) return;
+    const x = eventX(ev);
+    const win = getWindow();
+    const xa = toX(win[0], d), xb = toX(win[1], d);
+    let mode = null;
+    if (Math.abs(x - xa) <= 6) mode = 'min';
+    else if (Math.abs(x - xb) <= 6) mode = 'max';
+    else if (x > xa && x < xb) mode = 'shift';
+    if (!mode) return;
+    drag = { mode, start: fromX(x, d), win };
+    canvas.setPointerCapture?.(ev.pointerId);
+  });
+
+  canvas.addEventListener('pointermove', (ev) => {
+    const d = domain();
+    if (!drag || !d) return;
+    const v = fromX(eventX(ev), d);
+    let [a, b] = drag.win;
+    if (drag.mode === 'min') a = Math.min(v, b);
+    else if (drag.mode === 'max') b = Math.max(v, a);
+    else {
+      const dv = v - drag.start;
+      a += dv;
+      b += dv;
+    }
+    setWindow(a, b);
+    redraw();
+  });
+
+  const endDrag = (ev) => {
+    if (drag) canvas.releasePointerCapture?.(ev.pointerId);
+    drag = null;
+  };
+  canvas.addEventListener('pointerup', endDrag);
+  canvas.addEventListener('pointercancel', endDrag);
+
+  redraw();
+
+  return {
+    setStats(s) {
+      stats = s?.histogram ? s : null;
+      redraw();
+    },
+    redraw
+  };
+}
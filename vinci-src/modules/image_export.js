@@ -0,0 +1,272 @@
+/**
+ * IMAGE EXPORT MODULE
+ *
+ * Renders the 3D view (CAD, heat map raymarch, isosurfaces) offscreen at a
+ * multiple of the viewport size and downloads it as a PNG, without the GUI panels.
+ *
+ * Features:
+ * - 1× to 8× the viewport (4K / 8K) through tiled rendering with camera view offsets
+ * - Each tile runs the pre-render hooks at the tile size, so the raymarch's CAD
+ *   depth pass and its resolution uniforms match the offscreen target
+ * - Optional transparent background
+ * - Burned-in color legend, title and timestamp, scaled with the image
+ */
+
+import * as THREE from 'three';
+import { setTooltip } from './gui_utils.js';
+import { downloadBlob } from '../core/files.js';
+
+const SCALES = { '1×': 1, '2×': 2, '3×': 3, '4×': 4, '6×': 6, '8×': 8 };
+const MAX_TILE = 2048;     // Largest tile edge (px); bounded further by the GPU limits
+const MAX_CANVAS = 16384;  // Largest output edge browsers reliably allocate for a 2D canvas
+
+/**
+ * Lookup table for linear -> sRGB 8-bit encoding (render targets hold linear color)
+ */
+const SRGB_LUT_SIZE = 4096;
+const srgbLUT = (() => {
+  const lut = new Uint8ClampedArray(SRGB_LUT_SIZE + 1);
+  for (let i = 0; i <= SRGB_LUT_SIZE; i++) {
+    const c = i / SRGB_LUT_SIZE;
+    const s = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    lut[i] = Math.round(s * 255);
+  }
+  return lut;
+})();
+
+export function setupImageExport({ gui, scene, camera, renderer, runPreRender, legend, volumeData }) {
+  const folder = gui.addFolder('Export Image');
+
+  const log = (msg) => {
+    try {
+      window.logEvent ? window.logEvent(msg) : console.log(msg);
+    } catch {
+      console.log(msg);
+    }
+  };
+
+  // =============================================================================
+  // STATE
+  // =============================================================================
+
+  const state = {
+    scale: '2×',
+    transparent: false,
+    legend: true,
+    title: '',
+    timestamp: true,
+    size: '',
+    exportImage: () => exportImage()
+  };
+  let busy = false;
+
+  // =============================================================================
+  // UI CONTROLS
+  // =============================================================================
+
+  const scaleCtrl = folder.add(state, 'scale', Object.keys(SCALES))
+    .name('Size')
+    .onChange(updateSizeLabel);
+  setTooltip(scaleCtrl, 'Multiple of the current viewport size (rendered in tiles)');
+
+  const sizeCtrl = folder.add(state, 'size').name('Pixels');
+  sizeCtrl.disable?.();
+
+  const transparentCtrl = folder.add(state, 'transparent').name('Transparent background');
+  setTooltip(transparentCtrl, 'Leave the background transparent instead of the viewer gray');
+
+  const legendCtrl = folder.add(state, 'legend').name('Include legend');
+  setTooltip(legendCtrl, 'Burn in the color legend (when it is shown)');
+
+  const titleCtrl = folder.add(state, 'title').name('Title');
+  setTooltip(titleCtrl, 'Optional title drawn in the top-left corner');
+
+  const timestampCtrl = folder.add(state, 'timestamp').name('Timestamp');
+  setTooltip(timestampCtrl, 'Draw the export date (and the timestep of transient data) in the bottom-right corner');
+
+  const exportCtrl = folder.add(state, 'exportImage').name('Export image');
+  setTooltip(exportCtrl, 'Render offscreen and download a PNG (GUI panels and screen labels are not included)');
+
+  folder.close?.();
+
+  function viewportSize() {
+    const el = renderer.domElement;
+    return { width: el.clientWidth || window.innerWidth, height: el.clientHeight || window.innerHeight };
+  }
+
+  function outputSize() {
+    const { width, height } = viewportSize();
+    const k = SCALES[state.scale] ?? 1;
+    return { width: Math.round(width * k), height: Math.round(height * k), k };
+  }
+
+  function updateSizeLabel() {
+    const { width, height } = outputSize();
+    state.size = `${width} × ${height}`;
+    sizeCtrl.updateDisplay?.();
+  }
+
+  updateSizeLabel();
+  window.addEventListener('resize', updateSizeLabel);
+
+  // =============================================================================
+  // TILED RENDERING
+  // =============================================================================
+
+  /**
+   * Renders one tile of the full image into a render target and writes it (sRGB,
+   * straight alpha, top-down) into the output ImageData
+   */
+  function renderTile(target, pixels, out, fullW, x, y, w, h) {
+    camera.setViewOffset(out.width, out.height, x, y, w, h);
+    target.setSize(w, h);
+
+    // The raymarch depth pre-pass restores the tile target when it is done
+    renderer.setRenderTarget(target);
+    runPreRender?.({ camera, renderer, scene, width: w, height: h });
+    renderer.render(scene, camera);
+    renderer.readRenderTargetPixels(target, 0, 0, w, h, pixels);
+
+    const dst = out.data;
+    for (let row = 0; row < h; row++) {
+      const src = (h - 1 - row) * w * 4;           // Render targets are bottom-up
+      let o = ((y + row) * fullW + x) * 4;
+      for (let i = src, end = src + w * 4; i < end; i += 4, o += 4) {
+        const a = Math.min(1, Math.max(0, pixels[i + 3]));
+        const inv = a > 0 ? 1 / a : 0;              // Blending leaves color premultiplied
+        for (let c = 0; c < 3; c++) {
+          const v = Math.min(1, Math.max(0, pixels[i + c] * inv));
+          dst[o + c] = srgbLUT[Math.round(v * SRGB_LUT_SIZE)];
+        }
+        dst[o + 3] = Math.round(a * 255);
+      }
+    }
+  }
+
+  /**
+   * Renders the full image tile by tile
+   * @returns {ImageData}
+   */
+  function renderImage(width, height) {
+    const maxTile = Math.min(MAX_TILE, renderer.capabilities.maxTextureSize);
+    const tileW = Math.min(maxTile, width);
+    const tileH = Math.min(maxTile, height);
+
+    const out = new ImageData(width, height);
+    const target = new THREE.WebGLRenderTarget(tileW, tileH, {
+      type: THREE.FloatType,   // Linear color; encoded to sRGB on readback without banding
+      samples: 4
+    });
+    const pixels = new Float32Array(tileW * tileH * 4);
+
+    const prev = {
+      target: renderer.getRenderTarget(),
+      background: scene.background,
+      clearColor: renderer.getClearColor(new THREE.Color()),
+      clearAlpha: renderer.getClearAlpha(),
+      aspect: camera.aspect
+    };
+
+    try {
+      if (state.transparent) {
+        scene.background = null;
+        renderer.setClearColor(0x000000, 0);
+      }
+      camera.aspect = width / height;
+
+      for (let y = 0; y < height; y += tileH) {
+        for (let x = 0; x < width; x += tileW) {
+          const w = Math.min(tileW, width - x);
+          const h = Math.min(tileH, height - y);
+          renderTile(target, w === tileW && h === tileH ? pixels : new Float32Array(w * h * 4), out, width, x, y, w, h);
+        }
+      }
+    } finally {
+      camera.clearViewOffset();
+      camera.aspect = prev.aspect;
+      camera.updateProjectionMatrix();
+      scene.background = prev.background;
+      renderer.setClearColor(prev.clearColor, prev.clearAlpha);
+      renderer.setRenderTarget(prev.target);
+      target.dispose();
+    }
+    return out;
+  }
+
+  // =============================================================================
+  // OVERLAYS & EXPORT
+  // =============================================================================
+
+  /**
+   * Draws the legend, title and timestamp over the rendered image
+   */
+  function drawOverlays(ctx, width, height, k) {
+    const margin = 20 * k;
+
+    const legendCanvas = state.legend ? legend?.getCanvas?.() : null;
+    if (legendCanvas?.width) {
+      const w = (parseFloat(legendCanvas.style.width) || legendCanvas.width) * k;
+      const h = (parseFloat(legendCanvas.style.height) || legendCanvas.height) * k;
+      ctx.drawImage(legendCanvas, margin, height - margin - h, w, h);
+    }
+
+    const text = (str, x, y, size, align, baseline) => {
+      ctx.font = `${size}px ui-sans-serif, system-ui, sans-serif`;
+      ctx.textAlign = align;
+      ctx.textBaseline = baseline;
+      ctx.lineWidth = Math.max(2, size / 6);
+      ctx.strokeStyle = 'rgba(0,0,0,0.6)';
+      ctx.strokeText(str, x, y);
+      ctx.fillStyle = '#f0f0f0';
+      ctx.fillText(str, x, y);
+    };
+
+    if (state.title) text(state.title, margin, margin, 22 * k, 'left', 'top');
+
+    if (state.timestamp) {
+      const vol = volumeData?.get();
+      const steps = volumeData?.getTimesteps?.() || [];
+      const step = steps.length > 1 && isFinite(vol?.time) ? `  ·  t = ${vol.time} ${volumeData.getTimeUnit()}` : '';
+      text(`${new Date().toLocaleString()}${step}`, width - margin, height - margin, 13 * k, 'right', 'bottom');
+    }
+  }
+
+  async function exportImage() {
+    if (busy) return;
+    const { width, height, k } = outputSize();
+    if (width > MAX_CANVAS || height > MAX_CANVAS) {
+      log(`Export image: ${width} × ${height} is too large (max ${MAX_CANVAS} px per side)`);
+      return;
+    }
+
+    busy = true;
+    exportCtrl.disable?.();
+    log(`Export image: Rendering ${width} × ${height}…`);
+    try {
+      const image = renderImage(width, height);
+
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      ctx.putImageData(image, 0, 0);
+      drawOverlays(ctx, width, height, k);
+
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      if (!blob) throw new Error('PNG encoding failed');
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+      downloadBlob(`vinci_${stamp}_${width}x${height}.png`, blob);
+      log(`Export image: Saved ${width} × ${height} PNG`);
+    } catch (e) {
+      log(`Export image: Failed (${e.message})`);
+    } finally {
+      busy = false;
+      exportCtrl.enable?.();
+    }
+  }
+
+  return {
+    folder,
+    exportImage
+  };
+}
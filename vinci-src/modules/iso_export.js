@@ -0,0 +1,220 @@
+/**
+ * ISOSURFACE EXPORT MODULE
+ *
+ * Converts generated isosurface meshes to files CAD and mesh tools can open.
+ * Vertices are written in the CAD/world frame of the GLB models (the exploded-view
+ * displacement of the isosurface group is not applied).
+ *
+ * Features:
+ * - STL (binary), OBJ (with normals and "v x y z r g b" vertex colors)
+ * - PLY (binary) with normals, vertex colors and the per-vertex |∇T| scalar
+ * - GLB with vertex colors (Solid isosurfaces get their flat color per vertex),
+ *   converted to linear as glTF requires (OBJ / PLY keep sRGB)
+ * - Millimeters or meters for STL / OBJ / PLY (glTF is always meters)
+ */
+
+import * as THREE from 'three';
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+
+export const ISO_EXPORT_FORMATS = ['STL', 'OBJ', 'PLY', 'GLB'];
+export const ISO_EXPORT_UNITS = { mm: 1000, m: 1 };
+
+/**
+ * File name for an isosurface, e.g. "iso_45.0C_gradient_t12.stl"
+ * @param {THREE.Mesh} mesh - Generated isosurface (userData.iso set by runtime_iso)
+ * @param {string} format - One of ISO_EXPORT_FORMATS
+ */
+export function isoFileName(mesh, format) {
+  const iso = mesh.userData?.iso || {};
+  let name = `iso_${Number(iso.levelDeg ?? 0).toFixed(1)}C_${String(iso.mode || 'surface').toLowerCase()}`;
+  if (iso.frame) name += `_t${iso.frame}`;
+  return `${name}.${format.toLowerCase()}`;
+}
+
+/**
+ * Per-vertex colors of an isosurface (the solid material color when it has none)
+ * @param {boolean} [linear] - Linear components (glTF COLOR_0) instead of 0..1 sRGB
+ * @returns {THREE.BufferAttribute}
+ */
+function vertexColors(mesh, linear = false) {
+  const geo = mesh.geometry;
+  const existing = geo.getAttribute('color');
+  if (existing && !linear) return existing;
+  const count = geo.getAttribute('position').count;
+  const colors = new Float32Array(count * 3);
+  const c = new THREE.Color();
+  if (existing) {
+    // Gradient ramp colors are stored as sRGB
+    for (let i = 0; i < count; i++) {
+      c.setRGB(existing.getX(i), existing.getY(i), existing.getZ(i)).convertSRGBToLinear();
+      colors[i * 3] = c.r;
+      colors[i * 3 + 1] = c.g;
+      colors[i * 3 + 2] = c.b;
+    }
+    return new THREE.BufferAttribute(colors, 3);
+  }
+  // Material colors are linear; OBJ / PLY get the same 0..1 sRGB convention as the ramp
+  c.copy(mesh.material?.color ?? new THREE.Color(0xcccccc));
+  if (!linear) c.convertLinearToSRGB();
+  for (let i = 0; i < count; i++) {
+    colors[i * 3] = c.r;
+    colors[i * 3 + 1] = c.g;
+    colors[i * 3 + 2] = c.b;
+  }
+  return new THREE.BufferAttribute(colors, 3);
+}
+
+/**
+ * Stand-alone mesh in the CAD frame, scaled to the export unit
+ * @param {boolean|'linear'} withColors - Vertex colors, 'linear' for glTF
+ */
+function exportMesh(mesh, scale, withColors) {
+  const geo = new THREE.BufferGeometry();
+  ['position', 'normal'].forEach(n => {
+    const attr = mesh.geometry.getAttribute(n);
+    if (attr) geo.setAttribute(n, attr);
+  });
+  if (withColors) geo.setAttribute('color', vertexColors(mesh, withColors === 'linear'));
+  if (mesh.geometry.index) geo.setIndex(mesh.geometry.index);
+
+  const out = new THREE.Mesh(geo, new THREE.MeshStandardMaterial({
+    vertexColors: !!withColors,
+    side: THREE.DoubleSide,
+    metalness: 0.0,
+    roughness: 0.8
+  }));
+  out.name = isoFileName(mesh, 'x').replace(/\.x$/, '');
+  out.scale.setScalar(scale);
+  out.updateMatrixWorld(true);
+  return out;
+}
+
+/**
+ * Wavefront OBJ with normals and per-vertex colors (the common "v x y z r g b"
+ * extension; OBJExporter writes colors only for point clouds)
+ */
+function writeOBJ(mesh, scale) {
+  const geo = mesh.geometry;
+  const pos = geo.getAttribute('position');
+  const nrm = geo.getAttribute('normal');
+  const col = vertexColors(mesh);
+  const index = geo.index;
+  const faceCount = index ? index.count / 3 : pos.count / 3;
+  const iso = mesh.userData?.iso || {};
+  const f = (v) => Number(v.toFixed(6));
+
+  const lines = [
+    `# Isosurface at ${Number(iso.levelDeg ?? 0).toFixed(2)} degC, coordinates in ${scale === 1 ? 'm' : 'mm'}`,
+    `o ${isoFileName(mesh, 'x').replace(/\.x$/, '')}`
+  ];
+  for (let i = 0; i < pos.count; i++) {
+    lines.push(`v ${f(pos.getX(i) * scale)} ${f(pos.getY(i) * scale)} ${f(pos.getZ(i) * scale)} ` +
+      `${f(col.getX(i))} ${f(col.getY(i))} ${f(col.getZ(i))}`);
+  }
+  if (nrm) {
+    for (let i = 0; i < nrm.count; i++) lines.push(`vn ${f(nrm.getX(i))} ${f(nrm.getY(i))} ${f(nrm.getZ(i))}`);
+  }
+  for (let t = 0; t < faceCount; t++) {
+    const v = [0, 1, 2].map(k => (index ? index.getX(t * 3 + k) : t * 3 + k) + 1);
+    lines.push(nrm ? `f ${v.map(i => `${i}//${i}`).join(' ')}` : `f ${v.join(' ')}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Binary little-endian PLY with normals, colors and the |∇T| scalar (°C/m)
+ */
+function writePLY(mesh, scale) {
+  const geo = mesh.geometry;
+  const pos = geo.getAttribute('position');
+  const nrm = geo.getAttribute('normal');
+  const col = vertexColors(mesh);
+  const grad = geo.getAttribute('gradient');
+  const index = geo.index;
+  const vertexCount = pos.count;
+  const faceCount = index ? index.count / 3 : vertexCount / 3;
+  const iso = mesh.userData?.iso || {};
+
+  const header = [
+    'ply',
+    'format binary_little_endian 1.0',
+    `comment Isosurface at ${Number(iso.levelDeg ?? 0).toFixed(2)} degC, coordinates in ${scale === 1 ? 'm' : 'mm'}`,
+    'comment gradient = |grad T| in degC/m',
+    `element vertex ${vertexCount}`,
+    'property float x',
+    'property float y',
+    'property float z',
+    'property float nx',
+    'property float ny',
+    'property float nz',
+    'property uchar red',
+    'property uchar green',
+    'property uchar blue',
+    'property float gradient',
+    `element face ${faceCount}`,
+    'property list uchar uint vertex_indices',
+    'end_header',
+    ''
+  ].join('\n');
+  const headerBytes = new TextEncoder().encode(header);
+
+  const vertexSize = 6 * 4 + 3 + 4;
+  const faceSize = 1 + 3 * 4;
+  const buffer = new ArrayBuffer(headerBytes.length + vertexCount * vertexSize + faceCount * faceSize);
+  new Uint8Array(buffer).set(headerBytes);
+  const view = new DataView(buffer);
+  let o = headerBytes.length;
+
+  const to8 = (v) => Math.round(Math.min(1, Math.max(0, v)) * 255);
+  for (let i = 0; i < vertexCount; i++) {
+    view.setFloat32(o, pos.getX(i) * scale, true);
+    view.setFloat32(o + 4, pos.getY(i) * scale, true);
+    view.setFloat32(o + 8, pos.getZ(i) * scale, true);
+    view.setFloat32(o + 12, nrm ? nrm.getX(i) : 0, true);
+    view.setFloat32(o + 16, nrm ? nrm.getY(i) : 0, true);
+    view.setFloat32(o + 20, nrm ? nrm.getZ(i) : 0, true);
+    view.setUint8(o + 24, to8(col.getX(i)));
+    view.setUint8(o + 25, to8(col.getY(i)));
+    view.setUint8(o + 26, to8(col.getZ(i)));
+    view.setFloat32(o + 27, grad ? grad.getX(i) : 0, true);
+    o += vertexSize;
+  }
+  for (let f = 0; f < faceCount; f++) {
+    view.setUint8(o, 3);
+    for (let k = 0; k < 3; k++) {
+      const v = index ? index.getX(f * 3 + k) : f * 3 + k;
+      view.setUint32(o + 1 + k * 4, v, true);
+    }
+    o += faceSize;
+  }
+  return buffer;
+}
+
+/**
+ * Encodes one isosurface
+ * @param {THREE.Mesh} mesh - Generated isosurface
+ * @param {string} format - 'STL' | 'OBJ' | 'PLY' | 'GLB'
+ * @param {{ units?: string }} [options] - 'mm' or 'm' (ignored for GLB)
+ * @returns {Promise<{ data: ArrayBuffer|DataView|string, mime: string, filename: string }>}
+ */
+export async function exportIsosurface(mesh, format, { units = 'mm' } = {}) {
+  const scale = format === 'GLB' ? 1 : (ISO_EXPORT_UNITS[units] ?? 1000);
+  const filename = isoFileName(mesh, format);
+
+  if (format === 'STL') {
+    const data = new STLExporter().parse(exportMesh(mesh, scale, false), { binary: true });
+    return { data, mime: 'model/stl', filename };
+  }
+  if (format === 'OBJ') {
+    return { data: writeOBJ(mesh, scale), mime: 'text/plain', filename };
+  }
+  if (format === 'PLY') {
+    return { data: writePLY(mesh, scale), mime: 'application/octet-stream', filename };
+  }
+  if (format === 'GLB') {
+    const data = await new GLTFExporter().parseAsync(exportMesh(mesh, 1, 'linear'), { binary: true });
+    return { data, mime: 'model/gltf-binary', filename };
+  }
+  throw new Error(`Unknown format ${format}`);
+}
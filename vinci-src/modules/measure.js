@@ -0,0 +1,335 @@
+/**
+ * MEASUREMENT MODULE
+ *
+ * Point-to-point distances, three-point angles and component bounding-box
+ * dimensions, measured on the CAD geometry (GLB and bboxes.json are in meters,
+ * results are reported in millimeters).
+ *
+ * Features:
+ * - Clicks raycast the displayed THREE.LOD level of each component
+ * - Snapping to the nearest triangle vertex or edge within a few pixels
+ * - Distance (2 clicks) and angle (3 clicks, vertex in the middle)
+ * - Bounding-box dimensions of any component from the bbox index
+ * - Measurements persist as labeled overlays, listed with delete / JSON export
+ */
+
+import * as THREE from 'three';
+import { setTooltip } from './gui_utils.js';
+import { downloadJSON } from '../core/files.js';
+
+const TOOL_NAME = 'measure';
+const MARKER_RADIUS = 0.0008;  // World units (m)
+const SNAP_PX = 10;            // Snap distance on screen (px)
+const SNAP_MODES = ['Vertex + edge', 'Vertex', 'Off'];
+const COLORS = { distance: '#7fdbff', angle: '#ff9f43', bbox: '#c6e48b' };
+
+export function setupMeasure({ gui, scene, camera, renderer, picker, labels, components, getModels, getBBoxIndex, getClipPlanes }) {
+  const folder = gui.addFolder('Measure');
+
+  const log = (msg) => {
+    try {
+      window.logEvent ? window.logEvent(msg) : console.log(msg);
+    } catch {
+      console.log(msg);
+    }
+  };
+
+  // =============================================================================
+  // STATE
+  // =============================================================================
+
+  const measurements = [];  // { id, type, points, value, text, component?, objects, labels, folder }
+  let pending = [];         // Picked points of the measurement in progress
+  let pendingMarkers = [];
+  let nextId = 1;
+
+  const overlay = new THREE.Group();
+  overlay.name = 'Measurements';
+  scene.add(overlay);
+
+  const markerGeo = new THREE.SphereGeometry(MARKER_RADIUS, 12, 8);
+  const markerMaterials = {};
+  const lineMaterials = {};
+  Object.entries(COLORS).forEach(([type, color]) => {
+    markerMaterials[type] = new THREE.MeshBasicMaterial({ color, depthTest: false });
+    lineMaterials[type] = new THREE.LineBasicMaterial({ color, depthTest: false });
+  });
+
+  const state = {
+    active: false,
+    mode: 'Distance',
+    snap: 'Vertex + edge',
+    component: components?.[0] ?? '',
+    showBBox: () => addBBoxMeasurement(state.component),
+    exportJSON: () => {
+      if (!measurements.length) {
+        log('Measure: Nothing to export');
+        return;
+      }
+      downloadJSON('measurements.json', {
+        unit: 'mm',
+        measurements: measurements.map(m => ({
+          id: m.id,
+          type: m.type,
+          value: m.value,
+          valueUnit: m.type === 'angle' ? 'deg' : 'mm',
+          label: m.text,
+          component: m.component,
+          points: m.points.map(p => p.toArray().map(v => v * 1000))
+        }))
+      });
+    },
+    clearAll: () => {
+      measurements.slice().forEach(removeMeasurement);
+      clearPending();
+      log('Measure: Cleared all measurements');
+    }
+  };
+
+  // =============================================================================
+  // UI CONTROLS
+  // =============================================================================
+
+  const activeCtrl = folder.add(state, 'active')
+    .name('Measure mode')
+    .onChange(v => {
+      if (v) picker.setActiveTool(TOOL_NAME);
+      else if (picker.getActiveTool() === TOOL_NAME) picker.setActiveTool(null);
+      if (!v) clearPending();
+    });
+  setTooltip(activeCtrl, 'Click points on CAD parts to measure');
+
+  const modeCtrl = folder.add(state, 'mode', ['Distance', 'Angle'])
+    .name('Type')
+    .onChange(clearPending);
+  setTooltip(modeCtrl, 'Distance: two points. Angle: three points, the second is the vertex');
+
+  const snapCtrl = folder.add(state, 'snap', SNAP_MODES).name('Snap');
+  setTooltip(snapCtrl, `Snap clicks to the nearest mesh vertex / edge within ${SNAP_PX} px`);
+
+  const componentCtrl = folder.add(state, 'component', components || []).name('Component');
+  setTooltip(componentCtrl, 'Component whose bounding box dimensions to show');
+
+  const bboxCtrl = folder.add(state, 'showBBox').name('Show bbox dimensions');
+  setTooltip(bboxCtrl, 'Add the width / depth / height of the component bounding box as a measurement');
+
+  const listFolder = folder.addFolder('Measurements');
+
+  const exportCtrl = folder.add(state, 'exportJSON').name('Export JSON');
+  setTooltip(exportCtrl, 'Download all measurements (points in mm) as measurements.json');
+
+  const clearCtrl = folder.add(state, 'clearAll').name('Clear all');
+  setTooltip(clearCtrl, 'Remove every measurement overlay');
+
+  // Another tool took over the canvas
+  picker.onToolChange(tool => {
+    if (tool !== TOOL_NAME && state.active) {
+      state.active = false;
+      activeCtrl.updateDisplay?.();
+      clearPending();
+    }
+  });
+
+  folder.close?.();
+
+  // =============================================================================
+  // SNAPPING
+  // =============================================================================
+
+  const toScreen = (v) => {
+    const p = v.clone().project(camera);
+    const el = renderer.domElement;
+    return new THREE.Vector2(p.x * el.clientWidth * 0.5, p.y * el.clientHeight * 0.5);
+  };
+
+  /**
+   * Moves a hit to the nearest vertex or edge of the hit triangle when close on screen
+   * @returns {{ point: THREE.Vector3, kind: 'vertex' | 'edge' | 'surface' }}
+   */
+  function snapHit(hit) {
+    const point = hit.point.clone();
+    const pos = hit.object?.geometry?.attributes?.position;
+    if (state.snap === 'Off' || !hit.face || !pos) return { point, kind: 'surface' };
+
+    const corners = [hit.face.a, hit.face.b, hit.face.c]
+      .map(i => new THREE.Vector3().fromBufferAttribute(pos, i).applyMatrix4(hit.object.matrixWorld));
+    const at = toScreen(point);
+    const px = (v) => toScreen(v).distanceTo(at);
+
+    let best = null;
+    corners.forEach(c => {
+      const d = px(c);
+      if (d <= SNAP_PX && (!best || d < best.d)) best = { d, point: c };
+    });
+    if (best) return { point: best.point, kind: 'vertex' };
+
+    if (state.snap === 'Vertex + edge') {
+      const line = new THREE.Line3();
+      for (let i = 0; i < 3; i++) {
+        line.set(corners[i], corners[(i + 1) % 3]);
+        const q = line.closestPointToPoint(point, true, new THREE.Vector3());
+        const d = px(q);
+        if (d <= SNAP_PX && (!best || d < best.d)) best = { d, point: q };
+      }
+      if (best) return { point: best.point, kind: 'edge' };
+    }
+    return { point, kind: 'surface' };
+  }
+
+  // =============================================================================
+  // OVERLAYS
+  // =============================================================================
+
+  function marker(position, type) {
+    const m = new THREE.Mesh(markerGeo, markerMaterials[type]);
+    m.position.copy(position);
+    m.renderOrder = 1000;
+    overlay.add(m);
+    return m;
+  }
+
+  function polyline(points, type) {
+    const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), lineMaterials[type]);
+    line.renderOrder = 1000;
+    overlay.add(line);
+    return line;
+  }
+
+  function clearPending() {
+    pendingMarkers.forEach(m => overlay.remove(m));
+    pending = [];
+    pendingMarkers = [];
+  }
+
+  /**
+   * Stores a measurement and lists it in the panel
+   */
+  function addMeasurement({ type, points, value, text, component, objects, labelItems }) {
+    const id = nextId++;
+    const entry = { id, type, points, value, text, component, objects, labels: labelItems, folder: null };
+    entry.folder = listFolder.addFolder(`#${id} ${text}`);
+    const delCtrl = entry.folder.add({ remove: () => removeMeasurement(entry) }, 'remove').name('Delete');
+    setTooltip(delCtrl, 'Remove this measurement');
+    entry.folder.close?.();
+    listFolder.open?.();
+    measurements.push(entry);
+    log(`Measure: #${id} ${text}`);
+    return entry;
+  }
+
+  function removeMeasurement(entry) {
+    const i = measurements.indexOf(entry);
+    if (i < 0) return;
+    measurements.splice(i, 1);
+    entry.objects.forEach(o => {
+      overlay.remove(o);
+      if (o.isLine) o.geometry.dispose();
+    });
+    entry.labels.forEach(l => l?.remove());
+    entry.folder?.destroy?.();
+  }
+
+  function finishDistance([a, b], markers) {
+    const mm = a.distanceTo(b) * 1000;
+    const text = `${mm.toFixed(2)} mm`;
+    const mid = a.clone().add(b).multiplyScalar(0.5);
+    addMeasurement({
+      type: 'distance',
+      points: [a, b],
+      value: mm,
+      text,
+      objects: [...markers, polyline([a, b], 'distance')],
+      labelItems: [labels?.add(mid, text, { color: COLORS.distance })]
+    });
+  }
+
+  function finishAngle([a, v, b], markers) {
+    const deg = THREE.MathUtils.radToDeg(a.clone().sub(v).angleTo(b.clone().sub(v)));
+    const text = `${deg.toFixed(1)}°`;
+    addMeasurement({
+      type: 'angle',
+      points: [a, v, b],
+      value: deg,
+      text,
+      objects: [...markers, polyline([a, v, b], 'angle')],
+      labelItems: [labels?.add(v, text, { color: COLORS.angle })]
+    });
+  }
+
+  /**
+   * Draws a component's bbox with its three dimensions (mm) along the edges from the min corner
+   */
+  function addBBoxMeasurement(name) {
+    const bbox = getBBoxIndex?.()?.items?.[name]?.bbox;
+    if (!Array.isArray(bbox?.min) || !Array.isArray(bbox?.max)) {
+      log(`Measure: No bounding box for '${name || '—'}'`);
+      return;
+    }
+    // The bbox index holds assembled positions; follow the LOD if it was moved (exploded view)
+    const offset = getModels?.()[name]?.mesh?.position ?? new THREE.Vector3();
+    const min = new THREE.Vector3().fromArray(bbox.min).add(offset);
+    const max = new THREE.Vector3().fromArray(bbox.max).add(offset);
+    const size = new THREE.Vector3().subVectors(max, min).multiplyScalar(1000);
+
+    const helper = new THREE.Box3Helper(new THREE.Box3(min, max), new THREE.Color(COLORS.bbox));
+    helper.material.depthTest = false;
+    helper.material.transparent = true;
+    helper.material.opacity = 0.5;
+    helper.renderOrder = 999;
+    overlay.add(helper);
+
+    const edges = [
+      ['W', new THREE.Vector3(max.x, min.y, min.z), size.x],
+      ['D', new THREE.Vector3(min.x, max.y, min.z), size.y],
+      ['H', new THREE.Vector3(min.x, min.y, max.z), size.z]
+    ];
+    const objects = [helper];
+    const labelItems = [];
+    edges.forEach(([axis, end, mm]) => {
+      objects.push(polyline([min, end], 'bbox'));
+      labelItems.push(labels?.add(min.clone().add(end).multiplyScalar(0.5), `${axis} ${mm.toFixed(2)} mm`, { color: COLORS.bbox }));
+    });
+
+    addMeasurement({
+      type: 'bbox',
+      points: [min, max],
+      value: [size.x, size.y, size.z],
+      text: `${name} ${size.x.toFixed(1)} × ${size.y.toFixed(1)} × ${size.z.toFixed(1)} mm`,
+      component: name,
+      objects,
+      labelItems
+    });
+  }
+
+  // =============================================================================
+  // PICKING
+  // =============================================================================
+
+  picker.onClick((ndc) => {
+    const hit = picker.pickCAD(ndc, getModels?.(), getClipPlanes?.());
+    if (!hit) return;
+    const { point, kind } = snapHit(hit);
+    const type = state.mode === 'Angle' ? 'angle' : 'distance';
+    pending.push(point);
+    pendingMarkers.push(marker(point, type));
+    log(`Measure: Point ${pending.length} on ${hit.folder} (${kind})`);
+
+    const needed = type === 'angle' ? 3 : 2;
+    if (pending.length < needed) return;
+    const points = pending;
+    const markers = pendingMarkers;
+    pending = [];
+    pendingMarkers = [];
+    if (type === 'angle') finishAngle(points, markers);
+    else finishDistance(points, markers);
+  }, TOOL_NAME);
+
+  return {
+    folder,
+    /** Measurements as plain data (points in meters) */
+    getMeasurements: () => measurements.map(m => ({
+      id: m.id, type: m.type, value: m.value, text: m.text, component: m.component,
+      points: m.points.map(p => p.toArray())
+    }))
+  };
+}
@@ -0,0 +1,270 @@
+/**
+ * PROBE MODULE
+ *
+ * Click-to-probe temperature readout. Clicking a CAD surface or an isosurface
+ * trilinearly samples the loaded temperature volume at the hit point and shows
+ * the value together with the component name.
+ *
+ * Features:
+ * - Raycasts the displayed THREE.LOD level of each component and saved isosurfaces
+ * - Honors clipping planes (cut-away geometry cannot be probed)
+ * - Tooltip at the cursor plus an Events Log entry per probe
+ * - Pinnable probes rendered as persistent markers with labels
+ * - Pinned values follow the current timestep of transient volumes
+ * - Pins stay on their component (or the volume) when the exploded view moves it
+ * - Exploded parts and a displaced volume are sampled at their assembled position
+ */
+
+import * as THREE from 'three';
+import { setTooltip } from './gui_utils.js';
+import { sampleTrilinear } from '../core/volume_sampling.js';
+
+const TOOL_NAME = 'probe';
+const MARKER_RADIUS = 0.0012;  // World units (m)
+
+export function setupProbe({
+  gui,
+  scene,
+  picker,
+  labels,
+  getModels,
+  getIsoMeshes,
+  getClipPlanes,
+  getPartOffset,
+  getVolumeOffset,
+  volumeData
+}) {
+  const folder = gui.addFolder('Probe');
+
+  const log = (msg) => {
+    try {
+      window.logEvent ? window.logEvent(msg) : console.log(msg);
+    } catch {
+      console.log(msg);
+    }
+  };
+
+  // =============================================================================
+  // STATE
+  // =============================================================================
+
+  const pins = [];          // { position, samplePosition, part, value, folder, marker, label }
+  let lastProbe = null;     // Most recent probe result (not yet pinned)
+  let transient = null;     // Marker for the most recent probe
+
+  const markerGroup = new THREE.Group();
+  markerGroup.name = 'ProbeMarkers';
+  scene.add(markerGroup);
+
+  const markerGeo = new THREE.SphereGeometry(MARKER_RADIUS, 16, 12);
+  const pinMaterial = new THREE.MeshBasicMaterial({ color: 0xffd166, depthTest: false });
+  const transientMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff, depthTest: false });
+
+  const state = {
+    active: false,
+    autoPin: false,
+    pinLast: () => {
+      if (!lastProbe) {
+        log('Probe: Nothing to pin yet – click a surface first.');
+        return;
+      }
+      pinProbe(lastProbe);
+      lastProbe = null;
+      hideTooltip();
+    },
+    clearPins: () => {
+      pins.splice(0).forEach(p => {
+        markerGroup.remove(p.marker);
+        p.label?.remove();
+      });
+      log('Probe: Cleared pinned probes');
+    }
+  };
+
+  // =============================================================================
+  // TOOLTIP
+  // =============================================================================
+
+  const tooltip = document.createElement('div');
+  tooltip.style.position = 'absolute';
+  tooltip.style.display = 'none';
+  tooltip.style.pointerEvents = 'none';
+  tooltip.style.zIndex = '400';
+  tooltip.style.whiteSpace = 'pre';
+  tooltip.style.font = '11px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace';
+  tooltip.style.color = '#fff';
+  tooltip.style.background = 'rgba(20,20,20,0.92)';
+  tooltip.style.border = '1px solid rgba(255,255,255,0.2)';
+  tooltip.style.borderRadius = '6px';
+  tooltip.style.padding = '4px 8px';
+  document.body.appendChild(tooltip);
+
+  function showTooltip(text, ev) {
+    tooltip.textContent = text;
+    tooltip.style.left = `${ev.clientX + 14}px`;
+    tooltip.style.top = `${ev.clientY + 14}px`;
+    tooltip.style.display = 'block';
+  }
+
+  function hideTooltip() {
+    tooltip.style.display = 'none';
+  }
+
+  // =============================================================================
+  // UI CONTROLS
+  // =============================================================================
+
+  const activeCtrl = folder.add(state, 'active')
+    .name('Probe mode')
+    .onChange(v => {
+      if (v) picker.setActiveTool(TOOL_NAME);
+      else if (picker.getActiveTool() === TOOL_NAME) picker.setActiveTool(null);
+      if (!v) hideTooltip();
+    });
+  setTooltip(activeCtrl, 'Click a CAD part or isosurface to read the temperature at that point');
+
+  const autoPinCtrl = folder.add(state, 'autoPin').name('Auto-pin');
+  setTooltip(autoPinCtrl, 'Pin every probe as a persistent marker');
+
+  const pinCtrl = folder.add(state, 'pinLast').name('Pin last probe');
+  setTooltip(pinCtrl, 'Keep the most recent probe as a labeled marker');
+
+  const clearCtrl = folder.add(state, 'clearPins').name('Clear pins');
+  setTooltip(clearCtrl, 'Remove all pinned probe markers');
+
+  // Another tool took over the canvas
+  picker.onToolChange(tool => {
+    if (tool !== TOOL_NAME && state.active) {
+      state.active = false;
+      activeCtrl.updateDisplay?.();
+      hideTooltip();
+    }
+  });
+
+  // =============================================================================
+  // PROBING
+  // =============================================================================
+
+  /**
+   * Formats a probe result for tooltips, labels and the log
+   */
+  function describe(p) {
+    const mm = p.samplePosition.clone().multiplyScalar(1000);
+    const temp = isFinite(p.value) ? `${p.value.toFixed(2)} °C` : 'outside volume';
+    const isTransient = (volumeData?.getTimesteps?.().length ?? 0) > 1;
+    const time = isTransient && isFinite(p.time) ? `\nt = ${p.time} ${volumeData.getTimeUnit()}` : '';
+    return {
+      short: `${temp} · ${p.folder}`,
+      long: `${temp}\n${p.folder}\n(${mm.x.toFixed(1)}, ${mm.y.toFixed(1)}, ${mm.z.toFixed(1)}) mm${time}`
+    };
+  }
+
+  /**
+   * Exploded-view displacement of a component, or of the volume (and its
+   * isosurfaces) when part is null
+   */
+  function offsetOf(part) {
+    return part ? getPartOffset?.(part) : getVolumeOffset?.();
+  }
+
+  /**
+   * Creates a persistent marker + label for a probe result
+   */
+  function pinProbe(p) {
+    const marker = new THREE.Mesh(markerGeo, pinMaterial);
+    marker.position.copy(p.position);
+    marker.renderOrder = 1000;
+    markerGroup.add(marker);
+    const label = labels?.add(p.position, describe(p).short);
+    pins.push({ ...p, position: p.position.clone(), marker, label });
+    log(`Probe: Pinned ${describe(p).short}`);
+  }
+
+  picker.onClick(async (ndc, ev) => {
+    const clip = getClipPlanes?.();
+    const cadHit = picker.pickCAD(ndc, getModels?.(), clip);
+    const isoHit = picker.pickObjects(ndc, getIsoMeshes?.() || [], clip);
+
+    let hit = cadHit;
+    let folderName = cadHit?.folder;
+    let part = cadHit?.folder ?? null;
+    if (isoHit && (!cadHit || isoHit.distance < cadHit.distance)) {
+      hit = isoHit;
+      part = null;
+      const iso = isoHit.object?.userData?.iso;
+      folderName = iso ? `isosurface ${Number(iso.levelDeg).toFixed(1)} °C` : 'isosurface';
+    }
+
+    if (!hit) {
+      hideTooltip();
+      if (transient) transient.visible = false;
+      return;
+    }
+
+    const vol = volumeData?.get() || await volumeData?.load();
+    const position = hit.point.clone();
+    // Displaced (exploded) geometry is sampled where it sits when assembled
+    const samplePosition = position.clone();
+    const offset = offsetOf(part);
+    if (offset) samplePosition.sub(offset);
+    const { x, y, z } = samplePosition;
+    const value = vol ? sampleTrilinear(vol, x, y, z) : NaN;
+    const result = { position, samplePosition, part, value, folder: folderName || 'unknown', time: vol?.time };
+
+    if (!transient) {
+      transient = new THREE.Mesh(markerGeo, transientMaterial);
+      transient.renderOrder = 1000;
+      markerGroup.add(transient);
+    }
+    transient.position.copy(position);
+    transient.visible = true;
+
+    const text = describe(result);
+    log(`Probe: ${text.long.replace(/\n/g, ' · ')}`);
+
+    if (state.autoPin) {
+      pinProbe(result);
+      lastProbe = null;
+      hideTooltip();
+    } else {
+      lastProbe = result;
+      showTooltip(text.long, ev);
+    }
+  }, TOOL_NAME);
+
+  // Keep pins on their (possibly displaced) component or volume
+  try {
+    const register = window.__registerUpdater;
+    register?.(() => {
+      pins.forEach(p => {
+        p.position.copy(p.samplePosition);
+        const offset = offsetOf(p.part);
+        if (offset) p.position.add(offset);
+        p.marker.position.copy(p.position);
+        p.label?.setPosition(p.position);
+      });
+    });
+  } catch {}
+
+  // Re-sample pinned probes when the volume (e.g. the timestep) changes
+  volumeData?.onChange(vol => {
+    if (!vol) return;
+    pins.forEach(p => {
+      p.value = sampleTrilinear(vol, p.samplePosition.x, p.samplePosition.y, p.samplePosition.z);
+      p.time = vol.time;
+      p.label?.setText(describe(p).short);
+    });
+  });
+
+  return {
+    folder,
+    /**
+     * Pinned probes as plain data (position in meters, value in °C)
+     */
+    getPins: () => pins.map(p => ({
+      position: p.samplePosition.toArray(),
+      value: p.value,
+      folder: p.folder
+    }))
+  };
+}
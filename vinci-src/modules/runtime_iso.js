@@ -6,17 +6,24 @@
  * non-blocking performance.
  * 
  * Features:
- * - Web Worker-based extraction (marching_worker.js)
+ * - Web Worker-based extraction (marching_worker.js) into indexed geometry
+ *   with shared vertices and smooth gradient normals
  * - Quality presets (Fast/Balanced/Full)
  * - Gradient magnitude vertex coloring
  * - Solid color option based on threshold temperature
  * - Persistent saved isosurfaces with individual toggles
+ * - STL / OBJ / PLY / GLB export of saved isosurfaces (one, or all as a zip)
+ * - Honors the shared clipping planes
+ * - Extracts from the current timestep of transient volumes
  */
 
 import * as THREE from 'three';
 import { setTooltip } from './gui_utils.js';
+import { downloadBlob } from '../core/files.js';
+import { createZipWriter } from '../core/zip.js';
+import { ISO_EXPORT_FORMATS, ISO_EXPORT_UNITS, exportIsosurface } from './iso_export.js';
 
-export function setupRuntimeIso({ gui, scene, getStats, volumeBasePath }) {
+export function setupRuntimeIso({ gui, scene, getStats, volumeData, getClipPlanes }) {
   const folder = gui.addFolder('Isosurfaces');
   if (folder?.open) folder.open();
 
@@ -64,6 +71,7 @@ export function setupRuntimeIso({ gui, scene, getStats, volumeBasePath }) {
   let volume = null;         // Loaded volume data
   let runtimeGroup = null;   // Container for generated isosurfaces
   let cachedStats = null;    // Thermal statistics for coloring
+  const groupOffset = new THREE.Vector3();  // Displacement of the isosurfaces (exploded view)
 
   const state = {
     levelDeg: 42.5,                    // Isosurface threshold (°C)
@@ -71,7 +79,7 @@ export function setupRuntimeIso({ gui, scene, getStats, volumeBasePath }) {
     colorBy: 'Gradient',               // 'Solid' | 'Gradient'
     quality: 'Balanced',               // 'Fast' | 'Balanced' | 'Full'
     generate: async () => {
-      if (!volume) await loadVolume();
+      if (!volume || !cachedStats) await loadVolume();
       if (!volume) {
         log('Custom Iso: Missing volume files. Run preprocess script.');
         return;
@@ -82,6 +90,7 @@ export function setupRuntimeIso({ gui, scene, getStats, volumeBasePath }) {
       log(`Custom Iso: Generating at ${state.levelDeg.toFixed(1)}°C (${state.colorBy}, ${state.quality}) ...`);
 
       try {
+        const srcVolume = volume;  // The timestep may change while the worker runs
         const mesh = await generateIsoMeshDegrees(state.levelDeg);
 
         // Store metadata on mesh
@@ -89,12 +98,16 @@ export function setupRuntimeIso({ gui, scene, getStats, volumeBasePath }) {
         mesh.userData.iso = {
           levelDeg: state.levelDeg,
           mode: state.colorBy,
-          quality: state.quality
+          quality: state.quality,
+          gradientRange: mesh.userData.gradientRange ?? null,
+          frame: srcVolume.frame ?? 0,
+          time: srcVolume.time ?? 0
         };
 
         // Add to persistent group
         if (!runtimeGroup) {
           runtimeGroup = new THREE.Group();
+          runtimeGroup.position.copy(groupOffset);
           scene.add(runtimeGroup);
         }
         runtimeGroup.add(mesh);
@@ -103,21 +116,26 @@ export function setupRuntimeIso({ gui, scene, getStats, volumeBasePath }) {
         const modeTag = state.colorBy === 'Gradient' ? 'Gradient' : 'Solid';
         const qualityTag = state.quality;
         let base = `${state.levelDeg.toFixed(1)}°C (${modeTag}, ${qualityTag})`;
+        if (volumeData.getTimesteps().length > 1) base += ` @ t=${srcVolume.time} ${volumeData.getTimeUnit()}`;
         let label = base;
         let suffix = 2;
         while (generatedItems.some(it => it.label === label)) {
           label = `${base} (${suffix++})`;
         }
 
-        // Add toggle control
+        // Add toggle control and its export button
         const obj = { [label]: true };
         const ctrl = togglesFolder.add(obj, label).name(label);
         ctrl.onChange(v => { mesh.visible = v; });
+        const exportCtrl = togglesFolder.add({ export: () => exportItems([mesh]) }, 'export').name('↳ Export');
+        setTooltip(exportCtrl, `Download ${label} in the selected export format`);
 
         generatedItems.push({ 
           key: label, 
           label, 
           mesh, 
+          ctrl,
+          exportCtrl,
           mode: modeTag, 
           quality: qualityTag 
         });
@@ -176,39 +194,51 @@ export function setupRuntimeIso({ gui, scene, getStats, volumeBasePath }) {
   createdCtrls.push(genCtrl);
   setTooltip(genCtrl, 'Extract the isosurface in a Web Worker and add it to the scene');
 
+  // Export settings and "export all" at the top of the Saved folder
+  const exportState = {
+    format: 'STL',
+    units: 'mm',
+    exportAll: () => exportItems(generatedItems.map(it => it.mesh))
+  };
+
+  const formatCtrl = togglesFolder.add(exportState, 'format', ISO_EXPORT_FORMATS).name('Export format');
+  setTooltip(formatCtrl,
+    'STL (binary), OBJ (normals + vertex colors), PLY (vertex colors + |∇T| scalar), GLB (vertex colors). ' +
+    'Coordinates match the CAD models'
+  );
+
+  const unitsCtrl = togglesFolder.add(exportState, 'units', Object.keys(ISO_EXPORT_UNITS)).name('Export units');
+  setTooltip(unitsCtrl, 'Length unit of STL / OBJ / PLY coordinates (GLB is always in meters)');
+
+  const exportAllCtrl = togglesFolder.add(exportState, 'exportAll').name('Export all (zip)');
+  setTooltip(exportAllCtrl, 'Download every saved isosurface in the selected format as one zip');
+
   // =============================================================================
   // VOLUME LOADING
   // =============================================================================
 
   /**
-   * Loads volume binary data and metadata
+   * Fetches the shared volume (downloaded once for all modules)
    */
   async function loadVolume() {
-    try {
-      const metaRes = await fetch(volumeBasePath + 'volume.json?v=' + Date.now());
-      const meta = await metaRes.json();
-      const binRes = await fetch(volumeBasePath + 'volume.bin?v=' + Date.now());
-      const buf = await binRes.arrayBuffer();
-
-      const dims = meta.dimensions || meta.dims;
-      volume = {
-        dims: dims,
-        spacing: meta.spacing,
-        origin: meta.origin || [0, 0, 0],
-        valueRange: meta.valueRange,
-        data: new Uint8Array(buf)
-      };
-
-      // Warm stats cache for coloring
-      try {
-        cachedStats = await getStats();
-      } catch {}
-    } catch (e) {
-      console.warn('Failed to load volume:', e);
+    volume = await volumeData.load();
+    if (!volume) {
       log('Custom Iso: Failed to load volume files (volume.json / volume.bin).');
+      return;
     }
+
+    // Warm stats cache for coloring
+    try {
+      cachedStats = await getStats();
+    } catch {}
   }
 
+  // A different dataset invalidates the cached percentiles
+  volumeData.onChange(vol => {
+    volume = vol;
+    cachedStats = null;
+  });
+
   // =============================================================================
   // ISOSURFACE GENERATION
   // =============================================================================
@@ -222,10 +252,6 @@ export function setupRuntimeIso({ gui, scene, getStats, volumeBasePath }) {
     const vmax = volume.valueRange?.[1] || 1;
     const threshAbs = Math.min(vmax, Math.max(vmin, deg));
 
-    // Convert absolute threshold to uint8 scale
-    const t8 = Math.round(((threshAbs - vmin) / Math.max(1e-12, (vmax - vmin))) * 255);
-    const thresh8 = Math.max(0, Math.min(255, t8));
-
     // Resolve worker URL for GitHub Pages compatibility
     const workerUrl = new URL('../workers/marching_worker.js', import.meta.url);
     const worker = new Worker(workerUrl, { type: 'module' });
@@ -241,7 +267,8 @@ export function setupRuntimeIso({ gui, scene, getStats, volumeBasePath }) {
       dims: volume.dims,
       spacing: volume.spacing,
       origin: volume.origin,
-      thresh8,
+      threshold: threshAbs,
+      dtype: volume.dtype,
       data: copyBuf,
       valueRange: volume.valueRange,
       qualityStride
@@ -249,29 +276,33 @@ export function setupRuntimeIso({ gui, scene, getStats, volumeBasePath }) {
 
     return new Promise((resolve, reject) => {
       worker.onmessage = (ev) => {
-        const { positions, normals, scalars } = ev.data || {};
+        const { positions, normals, scalars, indices } = ev.data || {};
 
-        if (!positions || positions.length === 0) {
+        if (!positions || positions.length === 0 || !indices?.length) {
           worker.terminate();
           log('Custom Iso: No surface at this level.');
           return reject(new Error('Empty iso'));
         }
 
-        // Build geometry
+        // Build indexed geometry (shared vertices, gradient normals from the worker)
         const geo = new THREE.BufferGeometry();
-        geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
-        if (normals) {
-          geo.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(normals), 3));
+        geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geo.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        geo.setIndex(new THREE.BufferAttribute(indices, 1));
+        geo.computeBoundingSphere();
+        if (scalars && scalars.length === positions.length / 3) {
+          geo.setAttribute('gradient', new THREE.BufferAttribute(scalars, 1));   // |∇T| per vertex (PLY export)
         }
-        geo.computeVertexNormals();
 
         // Apply coloring based on mode
         let material;
+        let gradientRange = null;
         if (state.colorBy === 'Gradient' && scalars && scalars.length === (positions.length / 3)) {
           // Create gradient material and attach vertex colors to the geometry
-          const { material: gradMat, colorAttr } = createGradientMaterial(scalars);
+          const { material: gradMat, colorAttr, range } = createGradientMaterial(scalars);
           geo.setAttribute('color', colorAttr);
           material = gradMat;
+          gradientRange = range;
         } else {
           const color = solidColorForThreshold(threshAbs);
           material = new THREE.MeshBasicMaterial({
@@ -280,11 +311,13 @@ export function setupRuntimeIso({ gui, scene, getStats, volumeBasePath }) {
             opacity: 0.5,
             side: THREE.DoubleSide,
             depthTest: false,
-            depthWrite: false
+            depthWrite: false,
+            clippingPlanes: getClipPlanes?.() || null
           });
         }
 
         const mesh = new THREE.Mesh(geo, material);
+        if (gradientRange) mesh.userData.gradientRange = gradientRange;   // |∇T| (°C/m) spanned by the ramp
         resolve(mesh);
         worker.terminate();
       };
@@ -299,6 +332,49 @@ export function setupRuntimeIso({ gui, scene, getStats, volumeBasePath }) {
     });
   }
 
+  // =============================================================================
+  // EXPORT
+  // =============================================================================
+
+  /**
+   * Downloads isosurfaces in the selected format: one file, or a zip for several
+   * @param {THREE.Mesh[]} meshes
+   */
+  async function exportItems(meshes) {
+    if (!meshes.length) {
+      log('Custom Iso: Nothing to export – generate an isosurface first.');
+      return;
+    }
+    const { format, units } = exportState;
+    try {
+      if (meshes.length === 1) {
+        const { data, mime, filename } = await exportIsosurface(meshes[0], format, { units });
+        downloadBlob(filename, data, mime);
+        log(`Custom Iso: Exported ${filename}`);
+        return;
+      }
+
+      const zip = createZipWriter();
+      const encoder = new TextEncoder();
+      const names = new Set();
+      for (const mesh of meshes) {
+        const { data, filename } = await exportIsosurface(mesh, format, { units });
+        let name = filename;
+        for (let n = 2; names.has(name); n++) name = filename.replace(/(\.\w+)$/, `_${n}$1`);
+        names.add(name);
+        const bytes = typeof data === 'string' ? encoder.encode(data)
+          : ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+          : new Uint8Array(data);
+        zip.add(name, bytes);
+      }
+      downloadBlob(`isosurfaces_${format.toLowerCase()}.zip`, zip.toBlob());
+      log(`Custom Iso: Exported ${meshes.length} isosurfaces as ${format}`);
+    } catch (err) {
+      console.warn('Custom Iso export failed:', err);
+      log(`Custom Iso: Export failed (${err.message})`);
+    }
+  }
+
   // =============================================================================
   // MATERIAL CREATION
   // =============================================================================
@@ -306,10 +382,9 @@ export function setupRuntimeIso({ gui, scene, getStats, volumeBasePath }) {
   /**
    * Creates material with gradient magnitude vertex colors
    * Green (low gradient) -> Yellow (medium) -> Red (high gradient)
+   * @param {Float32Array} sArr - Per-vertex gradient magnitude |∇T|
    */
-  function createGradientMaterial(scalars) {
-    const sArr = new Float32Array(scalars);
-
+  function createGradientMaterial(sArr) {
     // Find gradient magnitude range
     let sMin = +Infinity, sMax = -Infinity;
     for (let i = 0; i < sArr.length; i++) {
@@ -338,15 +413,17 @@ export function setupRuntimeIso({ gui, scene, getStats, volumeBasePath }) {
       colors[j + 2] = b;
     }
 
-    // Return both the material and the color attribute to attach to the target geometry
+    // Return the material, the color attribute to attach to the target geometry and the ramp range
     return {
+      range: [sMin, sMax],
       material: new THREE.MeshBasicMaterial({
         vertexColors: true,
         transparent: true,
         opacity: 0.5,
         side: THREE.DoubleSide,
         depthTest: false,
-        depthWrite: false
+        depthWrite: false,
+        clippingPlanes: getClipPlanes?.() || null
       }),
       colorAttr: new THREE.BufferAttribute(colors, 3)
     };
@@ -400,5 +477,78 @@ export function setupRuntimeIso({ gui, scene, getStats, volumeBasePath }) {
     }
   }
 
-  return folder;
+  // =============================================================================
+  // VIEW STATE
+  // =============================================================================
+
+  /**
+   * Generated levels (with their settings and timestep) for a shared view link
+   */
+  function getViewState() {
+    const transient = volumeData.getTimesteps().length > 1;
+    return {
+      levels: generatedItems.map(({ mesh }) => {
+        const iso = mesh.userData.iso;
+        const entry = { level: iso.levelDeg, colorBy: iso.mode, quality: iso.quality };
+        if (transient) entry.frame = iso.frame;
+        if (!mesh.visible) entry.hidden = true;
+        return entry;
+      })
+    };
+  }
+
+  /**
+   * Removes every generated isosurface with its toggle and export controls
+   */
+  function clearGenerated() {
+    generatedItems.forEach(({ mesh, ctrl, exportCtrl }) => {
+      runtimeGroup?.remove(mesh);
+      mesh.geometry?.dispose();
+      mesh.material?.dispose?.();
+      ctrl.destroy?.();
+      exportCtrl.destroy?.();
+    });
+    generatedItems.length = 0;
+  }
+
+  /**
+   * Replaces the generated isosurfaces with the levels captured by getViewState,
+   * regenerated one after another
+   */
+  async function applyViewState(s) {
+    const levels = Array.isArray(s?.levels) ? s.levels : [];
+    clearGenerated();
+    for (const entry of levels) {
+      if (!isFinite(entry?.level)) continue;
+      state.levelDeg = entry.level;
+      state.levelText = entry.level.toFixed(1) + ' °C';
+      if (['Solid', 'Gradient'].includes(entry.colorBy)) state.colorBy = entry.colorBy;
+      if (['Fast', 'Balanced', 'Full'].includes(entry.quality)) state.quality = entry.quality;
+      [levelCtrl, readoutCtrl, colorCtrl, qualityCtrl].forEach(c => c.updateDisplay?.());
+
+      if (isFinite(entry.frame) && volumeData.getFrame() !== entry.frame) {
+        await volumeData.setFrame(entry.frame);
+      }
+
+      const before = generatedItems.length;
+      await state.generate();
+      const item = generatedItems.length > before ? generatedItems[generatedItems.length - 1] : null;
+      if (item && entry.hidden) item.ctrl.setValue(false);
+    }
+  }
+
+  return {
+    folder,
+    getMeshes: () => generatedItems.map(it => it.mesh),
+    /**
+     * Moves the isosurfaces with the volume (e.g. following an exploded component)
+     * @param {THREE.Vector3} v - World-space displacement
+     */
+    setOffset(v) {
+      groupOffset.copy(v);
+      runtimeGroup?.position.copy(v);
+    },
+    getViewState,
+    applyViewState
+  };
 }
@@ -0,0 +1,546 @@
+/**
+ * SLICE VIEWS MODULE
+ *
+ * MRI-style orthogonal slice panes (axial / coronal / sagittal) of the
+ * temperature volume, drawn as inset viewports over the 3D view.
+ *
+ * Features:
+ * - Samples the shared full-resolution Data3DTexture on a plane per pane
+ * - Same window and colormap as the volume raymarch
+ * - Draggable slice index (GUI sliders or mouse wheel over a pane)
+ * - Shared crosshair: clicking a pane moves the other two slices
+ * - Active slices mirrored as translucent planes in the 3D scene, following
+ *   the volume when the exploded view displaces it
+ */
+
+import * as THREE from 'three';
+import { setTooltip } from './gui_utils.js';
+import { voxelValue } from '../core/volume_sampling.js';
+
+// Pane definitions: which volume axis each pane slices through
+// axis: 0 = X (sagittal), 1 = Y (coronal), 2 = Z (axial)
+const PANES = [
+  { key: 'axial', label: 'Axial (Z)', axis: 2, color: '#3498db' },
+  { key: 'coronal', label: 'Coronal (Y)', axis: 1, color: '#2ecc71' },
+  { key: 'sagittal', label: 'Sagittal (X)', axis: 0, color: '#e74c3c' }
+];
+
+// In-pane image axes (horizontal, vertical) per sliced axis
+const PANE_AXES = {
+  2: [0, 1],  // Axial: X right, Y up
+  1: [0, 2],  // Coronal: X right, Z up
+  0: [1, 2]   // Sagittal: Y right, Z up
+};
+
+export function setupSliceViews({ gui, scene, renderer, raymarch, volumeData }) {
+  const folder = gui.addFolder('Slice Views');
+
+  const log = (msg) => {
+    try {
+      window.logEvent ? window.logEvent(msg) : console.log(msg);
+    } catch {
+      console.log(msg);
+    }
+  };
+
+  if (!renderer?.capabilities?.isWebGL2 || !raymarch?.ensureVolume) {
+    log('Slices: WebGL2 volume texture not available; slice views disabled.');
+    return { folder };
+  }
+
+  // =============================================================================
+  // STATE
+  // =============================================================================
+
+  const state = {
+    enabled: false,
+    axial: 0,        // Z index
+    coronal: 0,      // Y index
+    sagittal: 0,     // X index
+    show3D: true,
+    keepAspect: false,
+    paneSize: 220
+  };
+
+  let volume = null;
+  let sliceGroup = null;   // 3D mirror planes, in unit-volume space
+  const worldOffset = raymarch.getOffset?.() ?? new THREE.Vector3();  // Displacement of the volume
+  const planeMeshes = {};
+  const paneEls = {};
+  const indexCtrls = {};
+
+  // =============================================================================
+  // UI CONTROLS
+  // =============================================================================
+
+  const enabledCtrl = folder.add(state, 'enabled')
+    .name('Enabled')
+    .onChange(async (v) => {
+      if (v) {
+        volume = await raymarch.ensureVolume();
+        if (!volume) {
+          state.enabled = false;
+          enabledCtrl.updateDisplay?.();
+          return;
+        }
+        initForVolume();
+        log('Slices: Enabled');
+      } else {
+        log('Slices: Disabled');
+      }
+      container.style.display = v && volume ? 'flex' : 'none';
+      updatePlanes3D();
+    });
+  setTooltip(enabledCtrl, 'Show axial/coronal/sagittal slice panes of the temperature volume');
+
+  PANES.forEach(p => {
+    indexCtrls[p.key] = folder.add(state, p.key, 0, 1, 1)
+      .name(`${p.label} slice`)
+      .onChange(() => { updateOverlays(); updatePlanes3D(); });
+    setTooltip(indexCtrls[p.key], `Voxel index of the ${p.label.toLowerCase()} slice`);
+  });
+
+  const show3DCtrl = folder.add(state, 'show3D')
+    .name('Show planes in 3D')
+    .onChange(updatePlanes3D);
+  setTooltip(show3DCtrl, 'Mirror the active slices as planes in the 3D scene');
+
+  const aspectCtrl = folder.add(state, 'keepAspect')
+    .name('Keep aspect')
+    .onChange(updateOverlays);
+  setTooltip(aspectCtrl, 'Preserve physical proportions (the volume is very thin along Z)');
+
+  const sizeCtrl = folder.add(state, 'paneSize', 120, 400, 10)
+    .name('Pane size (px)')
+    .onChange(() => {
+      Object.values(paneEls).forEach(el => {
+        el.root.style.width = `${state.paneSize}px`;
+        el.root.style.height = `${state.paneSize}px`;
+      });
+      updateOverlays();
+    });
+  setTooltip(sizeCtrl, 'Size of each slice pane in pixels');
+
+  // =============================================================================
+  // PANE DOM OVERLAYS
+  // =============================================================================
+
+  const container = document.createElement('div');
+  container.style.position = 'absolute';
+  container.style.left = '20px';
+  container.style.bottom = '20px';
+  container.style.display = 'none';
+  container.style.gap = '10px';
+  container.style.zIndex = '200';
+  container.style.flexDirection = 'column';
+  const row = document.createElement('div');
+  row.style.display = 'flex';
+  row.style.gap = '10px';
+  const readout = document.createElement('div');
+  readout.style.font = '11px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace';
+  readout.style.color = '#e7e7e7';
+  readout.style.background = 'rgba(20,20,20,0.85)';
+  readout.style.borderRadius = '6px';
+  readout.style.padding = '4px 8px';
+  container.appendChild(row);
+  container.appendChild(readout);
+  (renderer.domElement.parentElement || document.body).appendChild(container);
+
+  PANES.forEach(p => {
+    const root = document.createElement('div');
+    root.style.position = 'relative';
+    root.style.width = `${state.paneSize}px`;
+    root.style.height = `${state.paneSize}px`;
+    root.style.border = `1px solid ${p.color}`;
+    root.style.borderRadius = '6px';
+    root.style.overflow = 'hidden';
+    root.style.cursor = 'crosshair';
+    root.style.background = 'transparent';
+    root.style.touchAction = 'none';
+
+    const title = document.createElement('div');
+    title.style.position = 'absolute';
+    title.style.left = '6px';
+    title.style.top = '4px';
+    title.style.font = '11px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace';
+    title.style.color = '#fff';
+    title.style.textShadow = '0 1px 2px #000';
+    title.style.pointerEvents = 'none';
+
+    const lineH = document.createElement('div');
+    const lineV = document.createElement('div');
+    [lineH, lineV].forEach(l => {
+      l.style.position = 'absolute';
+      l.style.background = 'rgba(255,255,255,0.75)';
+      l.style.pointerEvents = 'none';
+    });
+    lineH.style.height = '1px';
+    lineV.style.width = '1px';
+
+    root.appendChild(lineH);
+    root.appendChild(lineV);
+    root.appendChild(title);
+    row.appendChild(root);
+    paneEls[p.key] = { root, title, lineH, lineV };
+
+    // Click/drag inside the pane moves the crosshair (the other two slices)
+    let dragging = false;
+    const pick = (ev) => {
+      const rect = root.getBoundingClientRect();
+      const img = imageRect(p, rect.width, rect.height);
+      const fx = (ev.clientX - rect.left - img.x) / img.w;
+      const fy = 1 - (ev.clientY - rect.top - img.y) / img.h;
+      setCrosshairFromPane(p, fx, fy);
+    };
+    root.addEventListener('pointerdown', (ev) => {
+      if (ev.button !== 0) return;
+      dragging = true;
+      root.setPointerCapture?.(ev.pointerId);
+      pick(ev);
+    });
+    root.addEventListener('pointermove', (ev) => { if (dragging) pick(ev); });
+    const end = (ev) => {
+      dragging = false;
+      root.releasePointerCapture?.(ev.pointerId);
+    };
+    root.addEventListener('pointerup', end);
+    root.addEventListener('pointercancel', end);
+
+    // Mouse wheel steps through slices (Shift = 5 at a time)
+    root.addEventListener('wheel', (ev) => {
+      ev.preventDefault();
+      if (!volume) return;
+      const step = (ev.deltaY > 0 ? -1 : 1) * (ev.shiftKey ? 5 : 1);
+      const max = volume.dims[p.axis] - 1;
+      state[p.key] = Math.max(0, Math.min(max, state[p.key] + step));
+      indexCtrls[p.key].updateDisplay?.();
+      updateOverlays();
+      updatePlanes3D();
+    }, { passive: false });
+  });
+
+  // =============================================================================
+  // GEOMETRY HELPERS
+  // =============================================================================
+
+  /**
+   * Slice index for a given volume axis
+   */
+  function indexForAxis(axis) {
+    const p = PANES.find(q => q.axis === axis);
+    return state[p.key];
+  }
+
+  /**
+   * Texture coordinate of the voxel center for an index along an axis
+   */
+  function texCoord(axis, index) {
+    return (index + 0.5) / Math.max(1, volume.dims[axis]);
+  }
+
+  /**
+   * Position of a grid sample along an axis in the unit-volume space of the 3D
+   * planes (the group spans origin .. origin + (N-1) * spacing)
+   */
+  function gridCoord(axis, index) {
+    return index / Math.max(1, volume.dims[axis] - 1);
+  }
+
+  /**
+   * Image rectangle inside a pane (letterboxed when keeping aspect)
+   */
+  function imageRect(pane, w, h) {
+    if (!state.keepAspect || !volume) return { x: 0, y: 0, w, h };
+    const [ah, av] = PANE_AXES[pane.axis];
+    const physW = volume.dims[ah] * volume.spacing[ah];
+    const physH = volume.dims[av] * volume.spacing[av];
+    const s = Math.min(w / physW, h / physH);
+    const iw = Math.max(2, physW * s), ih = Math.max(2, physH * s);
+    return { x: (w - iw) / 2, y: (h - ih) / 2, w: iw, h: ih };
+  }
+
+  /**
+   * Moves the two in-plane slices of a pane to the clicked position
+   */
+  function setCrosshairFromPane(pane, fx, fy) {
+    if (!volume) return;
+    const [ah, av] = PANE_AXES[pane.axis];
+    const toIndex = (axis, f) => Math.max(0, Math.min(volume.dims[axis] - 1, Math.floor(f * volume.dims[axis])));
+    const ph = PANES.find(q => q.axis === ah);
+    const pv = PANES.find(q => q.axis === av);
+    state[ph.key] = toIndex(ah, fx);
+    state[pv.key] = toIndex(av, fy);
+    indexCtrls[ph.key].updateDisplay?.();
+    indexCtrls[pv.key].updateDisplay?.();
+    updateOverlays();
+    updatePlanes3D();
+  }
+
+  /**
+   * Nearest-voxel temperature at the crosshair
+   */
+  function valueAtCrosshair() {
+    if (!volume?.data) return NaN;
+    const [X, Y] = volume.dims;
+    return voxelValue(volume, state.sagittal + state.coronal * X + state.axial * X * Y);
+  }
+
+  /**
+   * Updates titles, crosshair lines and the readout
+   */
+  function updateOverlays() {
+    if (!volume) return;
+    PANES.forEach(p => {
+      const el = paneEls[p.key];
+      const rect = el.root.getBoundingClientRect();
+      const img = imageRect(p, rect.width, rect.height);
+      const [ah, av] = PANE_AXES[p.axis];
+      const fx = texCoord(ah, indexForAxis(ah));
+      const fy = texCoord(av, indexForAxis(av));
+
+      el.lineV.style.left = `${img.x + fx * img.w}px`;
+      el.lineV.style.top = `${img.y}px`;
+      el.lineV.style.height = `${img.h}px`;
+      el.lineH.style.top = `${img.y + (1 - fy) * img.h}px`;
+      el.lineH.style.left = `${img.x}px`;
+      el.lineH.style.width = `${img.w}px`;
+      el.title.textContent = `${p.label} ${state[p.key]}/${volume.dims[p.axis] - 1}`;
+    });
+
+    const [sx, sy, sz] = volume.spacing;
+    const [ox, oy, oz] = volume.origin;
+    const px = (ox + state.sagittal * sx) * 1000;
+    const py = (oy + state.coronal * sy) * 1000;
+    const pz = (oz + state.axial * sz) * 1000;
+    const t = valueAtCrosshair();
+    readout.textContent =
+      `Crosshair (${px.toFixed(1)}, ${py.toFixed(1)}, ${pz.toFixed(2)}) mm  ·  T = ${isFinite(t) ? t.toFixed(2) : '—'} °C`;
+  }
+
+  // =============================================================================
+  // SLICE RENDERING
+  // =============================================================================
+
+  const sliceScene = new THREE.Scene();
+  const sliceCamera = new THREE.OrthographicCamera(0, 1, 1, 0, -1, 1);
+  const tf = raymarch.transferFunction;
+  const sliceMaterial = new THREE.ShaderMaterial({
+    glslVersion: THREE.GLSL3,
+    depthTest: false,
+    depthWrite: false,
+    uniforms: {
+      uVolume: { value: null },
+      uAxis: { value: 2 },
+      uSlice: { value: 0.5 },
+      uValueMin: { value: 0 },
+      uValueMax: { value: 1 },
+      uWinMin: { value: 0 },
+      uWinMax: { value: 1 },
+      uColorLUT: { value: tf?.colorTexture ?? null },
+      uLutSize: { value: tf?.lutSize ?? 256 }
+    },
+    vertexShader: `
+      out vec2 vUv;
+      void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      precision highp float;
+      precision highp sampler3D;
+
+      in vec2 vUv;
+      out vec4 out_FragColor;
+
+      uniform sampler3D uVolume;
+      uniform int uAxis;
+      uniform float uSlice;
+      uniform float uValueMin, uValueMax;
+      uniform float uWinMin, uWinMax;
+      uniform sampler2D uColorLUT;
+      uniform float uLutSize;
+
+      void main() {
+        vec3 uvw;
+        if (uAxis == 2) uvw = vec3(vUv.x, vUv.y, uSlice);
+        else if (uAxis == 1) uvw = vec3(vUv.x, uSlice, vUv.y);
+        else uvw = vec3(uSlice, vUv.x, vUv.y);
+
+        float s = texture(uVolume, uvw).r;
+        float val = uValueMin + s * (uValueMax - uValueMin);
+        float t = clamp((val - uWinMin) / max(1e-6, (uWinMax - uWinMin)), 0.0, 1.0);
+        vec3 c = texture(uColorLUT, vec2((t * (uLutSize - 1.0) + 0.5) / uLutSize, 0.5)).rgb;
+        out_FragColor = vec4(c, 1.0);
+      }
+    `
+  });
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), sliceMaterial);
+  quad.position.set(0.5, 0.5, 0);
+  sliceScene.add(quad);
+
+  /**
+   * Draws each pane into its screen rectangle using scissored viewports
+   */
+  function renderPanes(r) {
+    if (!state.enabled || !volume) return;
+    const texture = raymarch.getTexture?.();
+    if (!texture) return;
+
+    const canvasRect = r.domElement.getBoundingClientRect();
+    const [winMin, winMax] = raymarch.getWindow?.() ?? [0, 1];
+    const u = sliceMaterial.uniforms;
+    u.uVolume.value = texture;
+    u.uValueMin.value = volume.valueRange?.[0] ?? 0;
+    u.uValueMax.value = volume.valueRange?.[1] ?? 1;
+    u.uWinMin.value = winMin;
+    u.uWinMax.value = winMax;
+
+    const prevAutoClear = r.autoClear;
+    const prevClearColor = r.getClearColor(new THREE.Color());
+    const prevClearAlpha = r.getClearAlpha();
+    r.autoClear = false;
+    r.setScissorTest(true);
+
+    PANES.forEach(p => {
+      const rect = paneEls[p.key].root.getBoundingClientRect();
+      const img = imageRect(p, rect.width, rect.height);
+      const x = rect.left - canvasRect.left + img.x;
+      const yTop = rect.top - canvasRect.top + img.y;
+      const y = canvasRect.height - (yTop + img.h);
+
+      // Clear the whole pane, then draw the image rect
+      const paneX = rect.left - canvasRect.left;
+      const paneY = canvasRect.height - (rect.top - canvasRect.top + rect.height);
+      r.setViewport(paneX, paneY, rect.width, rect.height);
+      r.setScissor(paneX, paneY, rect.width, rect.height);
+      r.setClearColor(0x111111, 1);
+      r.clear(true, true, false);
+
+      r.setViewport(x, y, img.w, img.h);
+      r.setScissor(x, y, img.w, img.h);
+      u.uAxis.value = p.axis;
+      u.uSlice.value = texCoord(p.axis, state[p.key]);
+      r.render(sliceScene, sliceCamera);
+    });
+
+    // Restore full-viewport rendering for the next frame
+    const size = r.getSize(new THREE.Vector2());
+    r.setScissorTest(false);
+    r.setViewport(0, 0, size.x, size.y);
+    r.setClearColor(prevClearColor, prevClearAlpha);
+    r.autoClear = prevAutoClear;
+  }
+
+  try {
+    window.__registerPostRender?.(({ renderer: r }) => renderPanes(r || renderer));
+  } catch {}
+
+  // =============================================================================
+  // 3D MIRROR PLANES
+  // =============================================================================
+
+  /**
+   * Creates the slice planes in unit-volume space; the group maps them to world
+   */
+  function buildPlanes3D() {
+    sliceGroup = new THREE.Group();
+    sliceGroup.name = 'SliceViewPlanes';
+    sliceGroup.renderOrder = 950;
+
+    PANES.forEach(p => {
+      const geo = new THREE.PlaneGeometry(1, 1);
+      if (p.axis === 1) geo.rotateX(Math.PI / 2);
+      if (p.axis === 0) geo.rotateY(-Math.PI / 2);
+      const offset = [0.5, 0.5, 0.5];
+      offset[p.axis] = 0;
+      geo.translate(offset[0], offset[1], offset[2]);
+
+      const fill = new THREE.Mesh(geo, new THREE.MeshBasicMaterial({
+        color: p.color,
+        transparent: true,
+        opacity: 0.12,
+        side: THREE.DoubleSide,
+        depthWrite: false
+      }));
+      const edges = new THREE.LineSegments(
+        new THREE.EdgesGeometry(geo),
+        new THREE.LineBasicMaterial({ color: p.color, transparent: true, opacity: 0.9 })
+      );
+      const holder = new THREE.Group();
+      holder.add(fill);
+      holder.add(edges);
+      fill.renderOrder = 950;
+      edges.renderOrder = 951;
+      sliceGroup.add(holder);
+      planeMeshes[p.key] = holder;
+    });
+
+    scene.add(sliceGroup);
+  }
+
+  /**
+   * Positions the 3D planes at the current slice indices
+   */
+  function updatePlanes3D() {
+    if (!sliceGroup) return;
+    sliceGroup.visible = !!(state.enabled && state.show3D && volume);
+    if (!volume) return;
+    PANES.forEach(p => {
+      const holder = planeMeshes[p.key];
+      holder.position.set(0, 0, 0);
+      holder.position.setComponent(p.axis, gridCoord(p.axis, state[p.key]));
+    });
+  }
+
+  /**
+   * Sets slider ranges, initial indices and the 3D group transform for the volume
+   */
+  function initForVolume() {
+    const [X, Y, Z] = volume.dims;
+    const maxes = { sagittal: X - 1, coronal: Y - 1, axial: Z - 1 };
+    PANES.forEach(p => {
+      const ctrl = indexCtrls[p.key];
+      ctrl.max?.(maxes[p.key]);
+      if (state[p.key] === 0 || state[p.key] > maxes[p.key]) {
+        state[p.key] = Math.floor(maxes[p.key] / 2);
+      }
+      ctrl.updateDisplay?.();
+    });
+
+    if (!sliceGroup) buildPlanes3D();
+    const [sx, sy, sz] = volume.spacing;
+    const [ox, oy, oz] = volume.origin;
+    sliceGroup.position.set(ox, oy, oz).add(worldOffset);
+    sliceGroup.scale.set(Math.max(1e-9, (X - 1) * sx), Math.max(1e-9, (Y - 1) * sy), Math.max(1e-9, (Z - 1) * sz));
+
+    container.style.display = 'flex';
+    updateOverlays();
+    updatePlanes3D();
+  }
+
+  // Keep overlays in sync with window changes and layout
+  raymarch.onChange?.(updateOverlays);
+  volumeData?.onChange(vol => {
+    if (!state.enabled || !vol) return;
+    volume = vol;
+    initForVolume();
+  });
+  window.addEventListener('resize', updateOverlays);
+
+  return {
+    folder,
+    /**
+     * Current crosshair as voxel indices [x, y, z]
+     */
+    getCrosshair: () => [state.sagittal, state.coronal, state.axial],
+    /**
+     * Moves the 3D slice planes with the volume (e.g. following an exploded component)
+     * @param {THREE.Vector3} v - World-space displacement
+     */
+    setOffset(v) {
+      if (sliceGroup) sliceGroup.position.sub(worldOffset).add(v);
+      worldOffset.copy(v);
+    }
+  };
+}
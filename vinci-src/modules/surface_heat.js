@@ -0,0 +1,197 @@
+/**
+ * SURFACE HEAT MAP MODULE
+ *
+ * "Thermal camera" view of the CAD parts: each surface fragment looks up the
+ * temperature at its position in the raymarch's 3D texture and is colored
+ * with the raymarch colormap and display window.
+ *
+ * Features:
+ * - Fragment-shader lookup into the shared volume texture (no extra upload)
+ * - Same colormap and window as the heat map; follows the displayed timestep
+ * - Surfaces outside the volume keep their neutral gray
+ * - Adjustable flat shading so part geometry stays readable
+ * - Samples at the assembled position, so exploded parts keep their colors
+ */
+
+import * as THREE from 'three';
+import { setTooltip } from './gui_utils.js';
+
+export function setupSurfaceHeat({ gui, raymarch, volumeData, getOffset, onChange }) {
+  const folder = gui.addFolder('Surface Heat Map');
+
+  const log = (msg) => {
+    try {
+      window.logEvent ? window.logEvent(msg) : console.log(msg);
+    } catch {
+      console.log(msg);
+    }
+  };
+
+  // =============================================================================
+  // STATE
+  // =============================================================================
+
+  const state = {
+    enabled: false,
+    shading: 0.6     // 0 = pure colormap, 1 = full flat shading
+  };
+
+  // Shared by every surface material: one update recolors all parts
+  const tf = raymarch.transferFunction;
+  const shared = {
+    uVolume: { value: null },
+    uVolumeOrigin: { value: new THREE.Vector3() },
+    uVolumeSize: { value: new THREE.Vector3(1, 1, 1) },
+    uValueMin: { value: 0 },
+    uValueMax: { value: 1 },
+    uWinMin: { value: 0 },
+    uWinMax: { value: 1 },
+    uColorLUT: { value: tf?.colorTexture ?? null },
+    uLutSize: { value: tf?.lutSize ?? 256 },
+    uShading: { value: state.shading }
+  };
+
+  // =============================================================================
+  // UI CONTROLS
+  // =============================================================================
+
+  const enabledCtrl = folder.add(state, 'enabled')
+    .name('Enabled')
+    .onChange(async (v) => {
+      if (v) {
+        const vol = await raymarch.ensureVolume();
+        if (!vol) {
+          state.enabled = false;
+          enabledCtrl.updateDisplay?.();
+          return;
+        }
+        syncUniforms();
+        log('Surface heat map: Enabled');
+      } else {
+        log('Surface heat map: Disabled');
+      }
+      onChange?.();
+    });
+  setTooltip(enabledCtrl, 'Color solid CAD surfaces by the temperature at their position (heat map colormap and window)');
+
+  const shadingCtrl = folder.add(state, 'shading', 0, 1, 0.05)
+    .name('Shading')
+    .onChange(v => { shared.uShading.value = v; });
+  setTooltip(shadingCtrl, 'Blend in flat shading to keep part geometry readable');
+
+  // =============================================================================
+  // MATERIAL
+  // =============================================================================
+
+  /**
+   * Copies the current volume texture, value range and window into the shared uniforms
+   */
+  function syncUniforms() {
+    const vol = volumeData.get();
+    const texture = raymarch.getTexture?.();
+    if (!vol || !texture) return;
+    const [X, Y, Z] = vol.dims;
+    const [sx, sy, sz] = vol.spacing;
+    shared.uVolume.value = texture;
+    shared.uVolumeOrigin.value.fromArray(vol.origin || [0, 0, 0]);
+    shared.uVolumeSize.value.set((X - 1) * sx, (Y - 1) * sy, (Z - 1) * sz);
+    shared.uValueMin.value = vol.valueRange?.[0] ?? 0;
+    shared.uValueMax.value = vol.valueRange?.[1] ?? 1;
+    const [winMin, winMax] = raymarch.getWindow?.() ?? [0, 1];
+    shared.uWinMin.value = winMin;
+    shared.uWinMax.value = winMax;
+  }
+
+  /**
+   * Creates a surface heat material for one CAD mesh
+   * @param {string} name - Component folder name (for the exploded-view offset)
+   * @param {Object} params
+   * @param {THREE.ColorRepresentation} params.color - Color outside the volume
+   * @param {THREE.Plane[]|null} params.clippingPlanes - Shared clipping plane list
+   * @returns {THREE.ShaderMaterial}
+   */
+  function createMaterial(name, { color, clippingPlanes }) {
+    const uniforms = {
+      ...shared,
+      uBaseColor: { value: new THREE.Color(color) },
+      uSampleOffset: { value: new THREE.Vector3() }
+    };
+    const mat = new THREE.ShaderMaterial({
+      glslVersion: THREE.GLSL3,
+      uniforms,
+      vertexShader: `
+        #include <common>
+        #include <clipping_planes_pars_vertex>
+        out vec3 vWorldPos;
+        out vec3 vViewPos;
+        void main() {
+          #include <begin_vertex>
+          #include <project_vertex>
+          #include <clipping_planes_vertex>
+          vWorldPos = (modelMatrix * vec4(transformed, 1.0)).xyz;
+          vViewPos = -mvPosition.xyz;
+        }
+      `,
+      fragmentShader: `
+        precision highp float;
+        precision highp sampler3D;
+        #include <clipping_planes_pars_fragment>
+
+        in vec3 vWorldPos;
+        in vec3 vViewPos;
+        out vec4 out_FragColor;
+
+        uniform sampler3D uVolume;
+        uniform vec3 uVolumeOrigin, uVolumeSize;
+        uniform float uValueMin, uValueMax;
+        uniform float uWinMin, uWinMax;
+        uniform sampler2D uColorLUT;
+        uniform float uLutSize;
+        uniform float uShading;
+        uniform vec3 uBaseColor;
+        uniform vec3 uSampleOffset;
+
+        void main() {
+          #include <clipping_planes_fragment>
+          vec3 c = uBaseColor;
+          vec3 uvw = (vWorldPos - uSampleOffset - uVolumeOrigin) / uVolumeSize;
+          if (all(greaterThanEqual(uvw, vec3(0.0))) && all(lessThanEqual(uvw, vec3(1.0)))) {
+            float s = texture(uVolume, uvw).r;
+            float val = uValueMin + s * (uValueMax - uValueMin);
+            float t = clamp((val - uWinMin) / max(1e-6, (uWinMax - uWinMin)), 0.0, 1.0);
+            c = texture(uColorLUT, vec2((t * (uLutSize - 1.0) + 0.5) / uLutSize, 0.5)).rgb;
+          }
+          // Flat shading with a headlight (face normal from screen-space derivatives)
+          vec3 n = normalize(cross(dFdx(vViewPos), dFdy(vViewPos)));
+          float lambert = 0.35 + 0.65 * abs(dot(n, normalize(vViewPos)));
+          out_FragColor = vec4(c * mix(1.0, lambert, uShading), 1.0);
+        }
+      `,
+      clipping: true,
+      clippingPlanes
+    });
+
+    // Exploded parts sample the temperature where they sit when assembled
+    mat.onBeforeRender = () => {
+      const offset = getOffset?.(name);
+      if (offset) uniforms.uSampleOffset.value.copy(offset);
+    };
+    return mat;
+  }
+
+  // Window, colormap and timestep changes are picked up before each frame
+  try {
+    const register = window.__registerPreRender;
+    register?.(() => {
+      if (state.enabled) syncUniforms();
+    });
+  } catch {}
+
+  folder.close?.();
+
+  return {
+    folder,
+    isEnabled: () => state.enabled && !!shared.uVolume.value,
+    createMaterial
+  };
+}
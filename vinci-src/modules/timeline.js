@@ -0,0 +1,171 @@
+/**
+ * TIMELINE MODULE
+ *
+ * Playback controls for transient (time-series) thermal volumes listed in
+ * volume.json "timesteps". The raymarch, slices, probes and isosurface
+ * generation follow the frame shown here through the shared volume service.
+ *
+ * Features:
+ * - Frame scrubber with simulation-time readout
+ * - Play / pause, loop and playback speed (frames per second)
+ * - Prefetches the next frames while playing; waits instead of skipping
+ *   when a frame has not arrived yet
+ * - Hidden for steady-state (single volume) datasets
+ */
+
+import { setTooltip } from './gui_utils.js';
+
+const PREFETCH_AHEAD = 2;  // Frames downloaded ahead of the playhead
+
+export function setupTimeline({ gui, volumeData }) {
+  const folder = gui.addFolder('Timeline');
+  folder.hide?.();
+
+  const log = (msg) => {
+    try {
+      window.logEvent ? window.logEvent(msg) : console.log(msg);
+    } catch {
+      console.log(msg);
+    }
+  };
+
+  // =============================================================================
+  // STATE
+  // =============================================================================
+
+  let steps = [];           // [{ file, time }]
+  let pending = null;       // In-flight frame switch
+  let lastAdvance = 0;      // Timestamp (ms) of the last playback step
+
+  const state = {
+    frame: 0,
+    timeText: '—',
+    playing: false,
+    loop: true,
+    fps: 2,
+    togglePlay: () => setPlaying(!state.playing)
+  };
+
+  // =============================================================================
+  // UI CONTROLS
+  // =============================================================================
+
+  // Frames are only fetched on release so dragging doesn't download every step in between
+  const frameCtrl = folder.add(state, 'frame', 0, 1, 1)
+    .name('Frame')
+    .onChange(() => {
+      if (state.playing) setPlaying(false);
+      updateReadout();
+    })
+    .onFinishChange(v => goTo(v));
+  setTooltip(frameCtrl, 'Scrub through the simulation timesteps');
+
+  const timeCtrl = folder.add(state, 'timeText').name('Time');
+  timeCtrl.disable?.();
+  setTooltip(timeCtrl, 'Simulation time of the displayed frame');
+
+  const playCtrl = folder.add(state, 'togglePlay').name('▶ Play');
+  setTooltip(playCtrl, 'Play / pause the time series');
+
+  const loopCtrl = folder.add(state, 'loop').name('Loop');
+  setTooltip(loopCtrl, 'Restart from the first frame at the end');
+
+  const fpsCtrl = folder.add(state, 'fps', 0.25, 30, 0.25).name('Speed (fps)');
+  setTooltip(fpsCtrl, 'Playback speed in frames per second (large frames may play slower while downloading)');
+
+  function updateReadout() {
+    const step = steps[state.frame];
+    const unit = volumeData.getTimeUnit();
+    state.timeText = step ? `${step.time} ${unit} (${state.frame + 1}/${steps.length})` : '—';
+    timeCtrl.updateDisplay?.();
+    frameCtrl.updateDisplay?.();
+  }
+
+  function setPlaying(v) {
+    state.playing = v;
+    playCtrl.name(v ? '❚❚ Pause' : '▶ Play');
+    lastAdvance = 0;
+    if (v && state.frame >= steps.length - 1) goTo(0);
+  }
+
+  // =============================================================================
+  // FRAME SWITCHING
+  // =============================================================================
+
+  /**
+   * Shows a frame and prefetches the ones after it
+   */
+  function goTo(index) {
+    const i = Math.max(0, Math.min(steps.length - 1, Math.round(index)));
+    state.frame = i;
+    updateReadout();
+    const ahead = [];
+    for (let k = 1; k <= PREFETCH_AHEAD; k++) {
+      const j = i + k;
+      ahead.push(j < steps.length ? j : state.loop ? j - steps.length : -1);
+    }
+    const p = volumeData.setFrame(i).finally(() => {
+      if (pending === p) pending = null;
+    });
+    pending = p;
+    volumeData.prefetch(...ahead, i - 1);
+    return p;
+  }
+
+  // Configure once the dataset is known; keep in sync with external frame changes
+  volumeData.onChange(vol => {
+    if (!vol) return;
+    if (!steps.length) {
+      steps = volumeData.getTimesteps();
+      if (steps.length > 1) {
+        frameCtrl.max?.(steps.length - 1);
+        folder.show?.();
+        log(`Timeline: ${steps.length} timesteps (${steps[0].time}–${steps[steps.length - 1].time} ${volumeData.getTimeUnit()})`);
+      }
+    }
+    if (vol.frame !== undefined && vol.frame !== state.frame && !pending) {
+      state.frame = vol.frame;
+    }
+    updateReadout();
+  });
+
+  // =============================================================================
+  // PLAYBACK
+  // =============================================================================
+
+  try {
+    const register = window.__registerUpdater;
+    register?.(({ time }) => {
+      if (!state.playing || steps.length < 2 || pending) return;
+      const now = time ?? performance.now();
+      if (lastAdvance && now - lastAdvance < 1000 / Math.max(0.01, state.fps)) return;
+      lastAdvance = now;
+
+      let next = state.frame + 1;
+      if (next >= steps.length) {
+        if (!state.loop) {
+          setPlaying(false);
+          return;
+        }
+        next = 0;
+      }
+      goTo(next);
+    });
+  } catch {}
+
+  return {
+    folder,
+    getFrame: () => state.frame,
+    /**
+     * Resolves once the frame being switched to is loaded (immediately when none is)
+     */
+    whenReady: () => pending ? pending.catch(() => {}) : Promise.resolve(),
+    /**
+     * Jumps to a frame (stops playback)
+     */
+    setFrame(i) {
+      if (state.playing) setPlaying(false);
+      return goTo(i);
+    }
+  };
+}
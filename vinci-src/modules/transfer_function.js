@@ -0,0 +1,349 @@
+/**
+ * TRANSFER FUNCTION MODULE
+ *
+ * Maps physical volume values to color and opacity for the thermal heat map.
+ * Color comes from a 1D lookup texture built from a preset colormap; opacity
+ * comes from a separate piecewise-linear curve baked into its own lookup texture.
+ * Both are sampled over the normalized display window [winMin, winMax].
+ *
+ * Features:
+ * - Preset colormaps (Green-Yellow-Red, Viridis, Inferno, Turbo, Grayscale, Diverging)
+ * - Piecewise-linear opacity curve with presets (Ramp, Linear, Flat, Band)
+ * - Canvas editor to drag, add and remove opacity control points
+ * - Change notifications so shaders and overlays stay in sync
+ */
+
+import * as THREE from 'three';
+import { setTooltip, embedElement } from './gui_utils.js';
+
+// Lookup texture resolution (texels across the window)
+const LUT_SIZE = 256;
+
+// Colormap stops as evenly spaced hex colors (low -> high)
+export const COLORMAPS = {
+  'Green-Yellow-Red': ['#2ecc71', '#f1c40f', '#e74c3c'],
+  'Viridis': ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725'],
+  'Inferno': ['#000004', '#1f0c48', '#550f6d', '#88226a', '#ba3655', '#e35933', '#f98e09', '#f9cb35', '#fcffa4'],
+  'Turbo': ['#30123b', '#4662d7', '#36aaf9', '#1ae4b6', '#72fe5e', '#c8ef34', '#faba39', '#f66b19', '#ca2a04', '#7a0403'],
+  'Grayscale': ['#000000', '#ffffff'],
+  'Diverging': ['#3b4cc0', '#7396f5', '#b0cbfc', '#dddddd', '#f6bfa6', '#ea7b60', '#b40426']
+};
+
+// Opacity curve presets as [t, alpha] control points over the window
+export const OPACITY_PRESETS = {
+  'Ramp': [[0, 0], [0.25, 0.156], [0.5, 0.5], [0.75, 0.844], [1, 1]],  // Legacy smoothstep
+  'Linear': [[0, 0], [1, 1]],
+  'Flat': [[0, 1], [1, 1]],
+  'Band': [[0, 0], [0.45, 0], [0.5, 1], [0.55, 0], [1, 0]]
+};
+
+const hexToRgb01 = (hex) => {
+  const n = parseInt(hex.replace('#', ''), 16);
+  return [((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255];
+};
+
+/**
+ * Samples a preset colormap at t in [0, 1]
+ * @param {string} name - Colormap name (key of COLORMAPS)
+ * @param {number} t - Normalized position
+ * @returns {number[]} [r, g, b] in 0..1
+ */
+export function sampleColormap(name, t) {
+  const stops = COLORMAPS[name] || COLORMAPS['Green-Yellow-Red'];
+  const x = Math.min(1, Math.max(0, Number(t) || 0)) * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(x));
+  const f = x - i;
+  const a = hexToRgb01(stops[i]);
+  const b = hexToRgb01(stops[i + 1]);
+  return [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f, a[2] + (b[2] - a[2]) * f];
+}
+
+/**
+ * Evaluates a piecewise-linear curve of [t, alpha] points at t
+ */
+function evalCurve(points, t) {
+  if (!points.length) return 0;
+  if (t <= points[0][0]) return points[0][1];
+  for (let i = 1; i < points.length; i++) {
+    const [x0, y0] = points[i - 1];
+    const [x1, y1] = points[i];
+    if (t <= x1) {
+      const f = x1 > x0 ? (t - x0) / (x1 - x0) : 1;
+      return y0 + (y1 - y0) * f;
+    }
+  }
+  return points[points.length - 1][1];
+}
+
+/**
+ * Normalizes control points: clamps to [0,1], sorts by t, pins end points to t=0 and t=1
+ */
+function normalizePoints(points) {
+  const pts = (points || [])
+    .map(p => [Math.min(1, Math.max(0, +p[0] || 0)), Math.min(1, Math.max(0, +p[1] || 0))])
+    .sort((a, b) => a[0] - b[0]);
+  if (pts.length < 2) return OPACITY_PRESETS['Linear'].map(p => p.slice());
+  pts[0][0] = 0;
+  pts[pts.length - 1][0] = 1;
+  return pts;
+}
+
+/**
+ * Creates a transfer function with color and opacity lookup textures
+ * @param {Object} [opts]
+ * @param {string} [opts.colormap] - Initial colormap name
+ * @param {number[][]} [opts.opacityPoints] - Initial [t, alpha] control points
+ */
+export function createTransferFunction({ colormap = 'Green-Yellow-Red', opacityPoints } = {}) {
+  const listeners = [];
+  let cmap = COLORMAPS[colormap] ? colormap : 'Green-Yellow-Red';
+  let points = normalizePoints(opacityPoints || OPACITY_PRESETS['Ramp']);
+
+  const colorData = new Uint8Array(LUT_SIZE * 4);
+  const colorTexture = new THREE.DataTexture(colorData, LUT_SIZE, 1, THREE.RGBAFormat, THREE.UnsignedByteType);
+  colorTexture.minFilter = THREE.LinearFilter;
+  colorTexture.magFilter = THREE.LinearFilter;
+  colorTexture.wrapS = THREE.ClampToEdgeWrapping;
+
+  const opacityData = new Uint8Array(LUT_SIZE);
+  const opacityTexture = new THREE.DataTexture(opacityData, LUT_SIZE, 1, THREE.RedFormat, THREE.UnsignedByteType);
+  opacityTexture.minFilter = THREE.LinearFilter;
+  opacityTexture.magFilter = THREE.LinearFilter;
+  opacityTexture.wrapS = THREE.ClampToEdgeWrapping;
+  opacityTexture.unpackAlignment = 1;
+
+  function bakeColor() {
+    for (let i = 0; i < LUT_SIZE; i++) {
+      const [r, g, b] = sampleColormap(cmap, i / (LUT_SIZE - 1));
+      colorData[i * 4] = Math.round(r * 255);
+      colorData[i * 4 + 1] = Math.round(g * 255);
+      colorData[i * 4 + 2] = Math.round(b * 255);
+      colorData[i * 4 + 3] = 255;
+    }
+    colorTexture.needsUpdate = true;
+  }
+
+  function bakeOpacity() {
+    for (let i = 0; i < LUT_SIZE; i++) {
+      opacityData[i] = Math.round(evalCurve(points, i / (LUT_SIZE - 1)) * 255);
+    }
+    opacityTexture.needsUpdate = true;
+  }
+
+  function emit() {
+    listeners.forEach(fn => { try { fn(tf); } catch {} });
+  }
+
+  bakeColor();
+  bakeOpacity();
+
+  const tf = {
+    colorTexture,
+    opacityTexture,
+    lutSize: LUT_SIZE,
+    getColormap: () => cmap,
+    setColormap(name) {
+      if (!COLORMAPS[name] || name === cmap) return;
+      cmap = name;
+      bakeColor();
+      emit();
+    },
+    getOpacityPoints: () => points.map(p => p.slice()),
+    setOpacityPoints(pts) {
+      points = normalizePoints(pts);
+      bakeOpacity();
+      emit();
+    },
+    sampleColor: (t) => sampleColormap(cmap, t),
+    sampleOpacity: (t) => evalCurve(points, Math.min(1, Math.max(0, t))),
+    onChange(fn) {
+      if (typeof fn === 'function') listeners.push(fn);
+    }
+  };
+  return tf;
+}
+
+/**
+ * Adds transfer function controls (colormap, opacity preset, curve editor) to a folder
+ * @param {Object} params
+ * @param {Object} params.gui - lil-gui folder to populate
+ * @param {Object} params.tf - Transfer function from createTransferFunction
+ * @param {Function} [params.getDomain] - Returns the current [winMin, winMax] in °C for axis labels
+ * @returns {{ folder: Object, redraw: Function }}
+ */
+export function setupTransferFunctionEditor({ gui, tf, getDomain }) {
+  const folder = gui.addFolder('Transfer Function');
+
+  const state = {
+    colormap: tf.getColormap(),
+    opacityPreset: 'Ramp',
+    resetCurve: () => {
+      tf.setOpacityPoints(OPACITY_PRESETS[state.opacityPreset] || OPACITY_PRESETS['Ramp']);
+    }
+  };
+
+  const cmapCtrl = folder.add(state, 'colormap', Object.keys(COLORMAPS))
+    .name('Colormap')
+    .onChange(v => tf.setColormap(v));
+  setTooltip(cmapCtrl, 'Color lookup applied across the display window');
+
+  const presetCtrl = folder.add(state, 'opacityPreset', Object.keys(OPACITY_PRESETS))
+    .name('Opacity preset')
+    .onChange(() => state.resetCurve());
+  setTooltip(presetCtrl, 'Replace the opacity curve with a preset; Band isolates a narrow range at the window center');
+
+  // === CURVE EDITOR CANVAS ===
+  const W = 280, H = 120, PAD = 8, AXIS = 14;
+  const canvas = document.createElement('canvas');
+  canvas.width = W;
+  canvas.height = H;
+  canvas.style.width = '100%';
+  canvas.style.height = `${H}px`;
+  canvas.style.display = 'block';
+  canvas.style.cursor = 'crosshair';
+  canvas.style.borderRadius = '6px';
+  canvas.style.background = 'rgba(0,0,0,0.25)';
+  canvas.title = 'Drag points to edit opacity. Double-click to add a point, right-click a point to remove it.';
+  const ctx = canvas.getContext('2d');
+
+  const plotW = W - PAD * 2;
+  const plotH = H - PAD - AXIS;
+  const toCanvas = ([t, a]) => [PAD + t * plotW, PAD + (1 - a) * plotH];
+  const fromCanvas = (x, y) => [
+    Math.min(1, Math.max(0, (x - PAD) / plotW)),
+    Math.min(1, Math.max(0, 1 - (y - PAD) / plotH))
+  ];
+
+  function eventPos(ev) {
+    const rect = canvas.getBoundingClientRect();
+    return [
+      (ev.clientX - rect.left) * (W / Math.max(1, rect.width)),
+      (ev.clientY - rect.top) * (H / Math.max(1, rect.height))
+    ];
+  }
+
+  function hitPoint(x, y) {
+    const pts = tf.getOpacityPoints();
+    for (let i = 0; i < pts.length; i++) {
+      const [px, py] = toCanvas(pts[i]);
+      if (Math.hypot(px - x, py - y) <= 6) return i;
+    }
+    return -1;
+  }
+
+  function redraw() {
+    ctx.clearRect(0, 0, W, H);
+
+    // Colormap strip along the bottom of the plot, modulated by opacity above it
+    for (let i = 0; i < plotW; i++) {
+      const t = i / Math.max(1, plotW - 1);
+      const [r, g, b] = tf.sampleColor(t);
+      const a = tf.sampleOpacity(t);
+      ctx.fillStyle = `rgba(${Math.round(r * 255)},${Math.round(g * 255)},${Math.round(b * 255)},${0.15 + 0.6 * a})`;
+      ctx.fillRect(PAD + i, PAD + (1 - a) * plotH, 1, a * plotH);
+    }
+
+    // Grid frame
+    ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+    ctx.strokeRect(PAD + 0.5, PAD + 0.5, plotW - 1, plotH - 1);
+
+    // Opacity polyline and control points
+    const pts = tf.getOpacityPoints();
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    pts.forEach((p, i) => {
+      const [x, y] = toCanvas(p);
+      if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+    pts.forEach(p => {
+      const [x, y] = toCanvas(p);
+      ctx.fillStyle = '#ffd166';
+      ctx.beginPath();
+      ctx.arc(x, y, 3.5, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    // Axis labels in °C
+    const dom = getDomain?.();
+    if (dom && isFinite(dom[0]) && isFinite(dom[1])) {
+      ctx.fillStyle = '#cccccc';
+      ctx.font = '10px ui-monospace, Menlo, Consolas, monospace';
+      ctx.textBaseline = 'bottom';
+      ctx.textAlign = 'left';
+      ctx.fillText(`${dom[0].toFixed(1)}°C`, PAD, H - 1);
+      ctx.textAlign = 'center';
+      ctx.fillText(`${((dom[0] + dom[1]) / 2).toFixed(1)}°C`, PAD + plotW / 2, H - 1);
+      ctx.textAlign = 'right';
+      ctx.fillText(`${dom[1].toFixed(1)}°C`, PAD + plotW, H - 1);
+    }
+  }
+
+  let dragIndex = -1;
+
+  canvas.addEventListener('pointerdown', (ev) => {
+    if (ev.button !== 0) return;
+    const [x, y] = eventPos(ev);
+    dragIndex = hitPoint(x, y);
+    if (dragIndex >= 0) canvas.setPointerCapture?.(ev.pointerId);
+  });
+
+  canvas.addEventListener('pointermove', (ev) => {
+    if (dragIndex < 0) return;
+    const [x, y] = eventPos(ev);
+    const pts = tf.getOpacityPoints();
+    const [t, a] = fromCanvas(x, y);
+    const last = pts.length - 1;
+
+    // End points keep their t; inner points stay between their neighbours
+    let nt = t;
+    if (dragIndex === 0) nt = 0;
+    else if (dragIndex === last) nt = 1;
+    else nt = Math.min(pts[dragIndex + 1][0] - 1e-3, Math.max(pts[dragIndex - 1][0] + 1e-3, t));
+
+    pts[dragIndex] = [nt, a];
+    tf.setOpacityPoints(pts);
+  });
+
+  const endDrag = (ev) => {
+    if (dragIndex >= 0) canvas.releasePointerCapture?.(ev.pointerId);
+    dragIndex = -1;
+  };
+  canvas.addEventListener('pointerup', endDrag);
+  canvas.addEventListener('pointercancel', endDrag);
+
+  canvas.addEventListener('dblclick', (ev) => {
+    const [x, y] = eventPos(ev);
+    if (hitPoint(x, y) >= 0) return;
+    const pts = tf.getOpacityPoints();
+    pts.push(fromCanvas(x, y));
+    tf.setOpacityPoints(pts);
+  });
+
+  canvas.addEventListener('contextmenu', (ev) => {
+    ev.preventDefault();
+    const [x, y] = eventPos(ev);
+    const i = hitPoint(x, y);
+    const pts = tf.getOpacityPoints();
+    if (i <= 0 || i >= pts.length - 1) return;  // End points cannot be removed
+    pts.splice(i, 1);
+    tf.setOpacityPoints(pts);
+  });
+
+  embedElement(folder, canvas);
+
+  const resetCtrl = folder.add(state, 'resetCurve').name('Reset curve');
+  setTooltip(resetCtrl, 'Restore the selected opacity preset');
+
+  tf.onChange(() => {
+    if (state.colormap !== tf.getColormap()) {
+      state.colormap = tf.getColormap();
+      cmapCtrl.updateDisplay?.();
+    }
+    redraw();
+  });
+
+  redraw();
+  return { folder, redraw };
+}
@@ -0,0 +1,402 @@
+/**
+ * VIDEO RECORDER MODULE
+ *
+ * Short review clips: drives the camera along a turntable orbit or through the
+ * saved camera bookmarks and records the canvas as WebM, optionally also as a
+ * zip of PNG frames.
+ *
+ * Features:
+ * - Frames are rendered one by one at a fixed timestep (frame i shows time i / fps),
+ *   so camera moves, transitions and timeline playback do not depend on frame jitter;
+ *   a timestep still downloading is awaited before the next frame is rendered
+ * - Orbit: turntable revolutions around the assembly's Z (stacking) axis through the
+ *   current orbit target, keeping the current radius / elevation
+ * - Saved views: bookmark-to-bookmark transitions with a hold at each view
+ * - WebM through WebCodecs with per-frame timestamps (MediaRecorder on
+ *   canvas.captureStream as a real-time fallback that reports late frames)
+ * - PNG sequence (frame_00000.png, ...) in a zip archive
+ */
+
+import * as THREE from 'three';
+import { setTooltip } from './gui_utils.js';
+import { downloadBlob } from '../core/files.js';
+import { createZipWriter } from '../core/zip.js';
+import { createWebMWriter } from '../core/webm.js';
+
+const PATHS = ['Orbit', 'Saved views'];
+const FRAME_RATES = [24, 30, 60];
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const WEBCODECS_CODECS = [['vp09.00.10.08', 'V_VP9'], ['vp8', 'V_VP8']];   // [WebCodecs, WebM codec ID]
+const KEYFRAME_SECONDS = 2;
+const TURNTABLE_AXIS = new THREE.Vector3(0, 0, 1);   // Stacking axis of the assembly (display at +Z)
+
+export function setupVideoRecorder({ gui, camera, controls, renderer, renderFrame, setHold, waitForFrame, bookmarks }) {
+  const folder = gui.addFolder('Record Video');
+
+  const log = (msg) => {
+    try {
+      window.logEvent ? window.logEvent(msg) : console.log(msg);
+    } catch {
+      console.log(msg);
+    }
+  };
+
+  // =============================================================================
+  // STATE
+  // =============================================================================
+
+  const state = {
+    path: 'Orbit',
+    duration: 8,        // Orbit length (s)
+    revolutions: 1,
+    transition: 2,      // Saved views: seconds per move
+    hold: 1,            // Saved views: seconds at each view
+    fps: 30,
+    bitrate: 8,         // Mbit/s
+    webm: true,
+    pngZip: false,
+    status: 'Idle',
+    record: () => record(),
+    stop: () => { cancelled = true; }
+  };
+  let recording = false;
+  let cancelled = false;
+
+  // =============================================================================
+  // UI CONTROLS
+  // =============================================================================
+
+  const pathCtrl = folder.add(state, 'path', PATHS)
+    .name('Camera path')
+    .onChange(updateVisibility);
+  setTooltip(pathCtrl, 'Orbit: turntable around the vertical (Z) axis through the orbit target. Saved views: fly through the camera bookmarks in order');
+
+  const durationCtrl = folder.add(state, 'duration', 1, 60, 0.5).name('Duration (s)');
+  setTooltip(durationCtrl, 'Length of the orbit clip');
+
+  const revolutionsCtrl = folder.add(state, 'revolutions', 0.25, 4, 0.25).name('Revolutions');
+  setTooltip(revolutionsCtrl, 'Turns around the vertical axis through the orbit target');
+
+  const transitionCtrl = folder.add(state, 'transition', 0.5, 10, 0.5).name('Transition (s)');
+  setTooltip(transitionCtrl, 'Time to move from one saved view to the next');
+
+  const holdCtrl = folder.add(state, 'hold', 0, 10, 0.5).name('Hold (s)');
+  setTooltip(holdCtrl, 'Time spent at each saved view');
+
+  const fpsCtrl = folder.add(state, 'fps', FRAME_RATES).name('Frame rate');
+  setTooltip(fpsCtrl, 'Frames per second of the clip (each frame advances time by exactly 1 / fps)');
+
+  const bitrateCtrl = folder.add(state, 'bitrate', 1, 40, 1).name('Bitrate (Mbit/s)');
+  setTooltip(bitrateCtrl, 'WebM video bitrate');
+
+  const webmCtrl = folder.add(state, 'webm').name('WebM video');
+  setTooltip(webmCtrl, 'Encode the clip as WebM (VP9 / VP8)');
+
+  const zipCtrl = folder.add(state, 'pngZip').name('PNG frames (zip)');
+  setTooltip(zipCtrl, 'Also download every frame as PNG in a zip (kept in memory until the end; large for long clips)');
+
+  const recordCtrl = folder.add(state, 'record').name('Record');
+  setTooltip(recordCtrl, 'Render the clip and download it (the view is driven by the recorder until it finishes)');
+
+  const stopCtrl = folder.add(state, 'stop').name('Stop');
+  setTooltip(stopCtrl, 'Stop recording and keep the frames rendered so far');
+
+  const statusCtrl = folder.add(state, 'status').name('Status');
+  statusCtrl.disable?.();
+
+  function updateVisibility() {
+    const orbit = state.path === 'Orbit';
+    [durationCtrl, revolutionsCtrl].forEach(c => (orbit ? c.show?.() : c.hide?.()));
+    [transitionCtrl, holdCtrl].forEach(c => (orbit ? c.hide?.() : c.show?.()));
+  }
+
+  function setStatus(text) {
+    state.status = text;
+    statusCtrl.updateDisplay?.();
+  }
+
+  updateVisibility();
+  stopCtrl.disable?.();
+  folder.close?.();
+
+  // =============================================================================
+  // FRAME CAPTURE
+  // =============================================================================
+
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+
+  /**
+   * WebCodecs encoder writing each frame with its own timestamp (i / fps), so the
+   * clip plays at the fixed rate however long a frame took to render
+   * @returns {Promise<Object|null>} null when VideoEncoder / VP9 / VP8 are unavailable
+   */
+  async function createFrameEncoder(canvas) {
+    if (!window.VideoEncoder || !window.VideoFrame) return null;
+    // VP8 / VP9 need even dimensions; an odd last row / column is cropped
+    const width = canvas.width & ~1;
+    const height = canvas.height & ~1;
+    const base = { width, height, bitrate: state.bitrate * 1e6, framerate: state.fps };
+    let config = null;
+    let codec = null;
+    for (const [webCodec, webmCodec] of WEBCODECS_CODECS) {
+      const support = await VideoEncoder.isConfigSupported({ ...base, codec: webCodec }).catch(() => null);
+      if (support?.supported) {
+        config = support.config;
+        codec = webmCodec;
+        break;
+      }
+    }
+    if (!config) return null;
+
+    const frameUs = 1e6 / state.fps;
+    const muxer = createWebMWriter({ codec, width, height });
+    let error = null;
+    const encoder = new VideoEncoder({
+      output: (chunk) => {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        muxer.addFrame(data, chunk.timestamp / 1000, chunk.type === 'key');
+      },
+      error: (e) => { error = e; }
+    });
+    encoder.configure(config);
+    let count = 0;
+
+    return {
+      async encode(index) {
+        if (error) throw error;
+        const frame = new VideoFrame(canvas, {
+          timestamp: Math.round(index * frameUs),
+          duration: Math.round(frameUs),
+          visibleRect: { x: 0, y: 0, width, height }
+        });
+        encoder.encode(frame, { keyFrame: index % (state.fps * KEYFRAME_SECONDS) === 0 });
+        frame.close();
+        count++;
+        // Keep the encoder queue short so frames are not piling up in GPU memory
+        while (encoder.encodeQueueSize > 4) await sleep(4);
+      },
+      async finish() {
+        await encoder.flush();
+        encoder.close();
+        if (error) throw error;
+        return count ? muxer.toBlob(count * frameUs / 1000) : null;
+      }
+    };
+  }
+
+  /**
+   * Starts the enabled outputs for the canvas; returns per-frame and finish callbacks
+   */
+  async function startOutputs() {
+    const canvas = renderer.domElement;
+    let frameEncoder = null;
+    let recorder = null;
+    let track = null;
+    let chunks = [];
+    let zip = null;
+    let pngPending = [];
+
+    if (state.webm) {
+      frameEncoder = await createFrameEncoder(canvas);
+      const mimeType = WEBM_TYPES.find(t => window.MediaRecorder?.isTypeSupported?.(t));
+      if (frameEncoder) {
+        // Frames carry explicit timestamps
+      } else if (!canvas.captureStream || !mimeType) {
+        log('Record video: WebM recording is not supported by this browser');
+      } else {
+        // Fallback: MediaRecorder stamps frames with the wall clock, so frames are paced in real time
+        log('Record video: WebCodecs unavailable; WebM timing follows real time (slow frames stutter)');
+        const stream = canvas.captureStream(0);
+        track = stream.getVideoTracks()[0];
+        if (!track?.requestFrame) {
+          track = null;
+          stream.getTracks().forEach(t => t.stop());
+        }
+        const source = track ? stream : canvas.captureStream(state.fps);
+        recorder = new MediaRecorder(source, { mimeType, videoBitsPerSecond: state.bitrate * 1e6 });
+        recorder.ondataavailable = (ev) => { if (ev.data?.size) chunks.push(ev.data); };
+        recorder.start(1000);
+      }
+    }
+    if (state.pngZip) zip = createZipWriter();
+
+    return {
+      hasOutput: !!(frameEncoder || recorder || zip),
+      /** Only the MediaRecorder fallback depends on frames arriving in real time */
+      realTime: !!recorder,
+
+      /** Called right after frame `index` was rendered into the canvas */
+      async capture(index) {
+        track?.requestFrame();
+        if (zip) {
+          const name = `frame_${String(index).padStart(5, '0')}.png`;
+          // toBlob copies the drawing buffer synchronously, before it is presented
+          pngPending.push(new Promise(resolve => canvas.toBlob(async (blob) => {
+            if (blob) zip.add(name, new Uint8Array(await blob.arrayBuffer()));
+            resolve();
+          }, 'image/png')));
+        }
+        await frameEncoder?.encode(index);
+      },
+
+      async finish(stamp) {
+        if (frameEncoder) {
+          const blob = await frameEncoder.finish();
+          if (blob) downloadBlob(`vinci_${stamp}.webm`, blob);
+        }
+        if (recorder) {
+          const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+          recorder.stop();
+          await stopped;
+          recorder.stream.getTracks().forEach(t => t.stop());
+          if (chunks.length) downloadBlob(`vinci_${stamp}.webm`, new Blob(chunks, { type: 'video/webm' }));
+          chunks = [];
+        }
+        if (zip) {
+          await Promise.all(pngPending);
+          pngPending = [];
+          if (zip.count()) downloadBlob(`vinci_${stamp}_frames.zip`, zip.toBlob());
+        }
+      }
+    };
+  }
+
+  // =============================================================================
+  // CAMERA PATHS
+  // =============================================================================
+
+  /**
+   * Yields one camera update per frame for a turntable orbit around the Z axis
+   * through the current target. The camera orientation turns with it (OrbitControls
+   * keeps Y up and would roll the view), and is reset when recording ends.
+   */
+  function* orbitPath(frameCount) {
+    const target = controls.target.clone();
+    const offset = new THREE.Vector3().subVectors(camera.position, target);
+    const orientation = camera.quaternion.clone();
+    const angle = Math.PI * 2 * state.revolutions;
+    const turn = new THREE.Quaternion();
+    const p = new THREE.Vector3();
+    for (let i = 0; i < frameCount; i++) {
+      turn.setFromAxisAngle(TURNTABLE_AXIS, angle * i / frameCount);
+      p.copy(offset).applyQuaternion(turn);
+      camera.position.copy(target).add(p);
+      camera.quaternion.copy(turn).multiply(orientation);
+      camera.updateMatrixWorld();
+      yield i;
+    }
+  }
+
+  /**
+   * Yields frames while flying through the bookmarks. The fly-to animation runs on
+   * the updaters' clock, which advances exactly one frame per rendered frame.
+   */
+  function* bookmarkPath(views, frameMs) {
+    const holdFrames = Math.round(state.hold * 1000 / frameMs);
+    bookmarks.flyTo(views[0].position, views[0].target, 0);
+    for (let f = 0; f < Math.max(1, holdFrames); f++) yield;
+
+    for (let v = 1; v < views.length; v++) {
+      let arrived = false;
+      bookmarks.flyTo(views[v].position, views[v].target, state.transition).then(() => { arrived = true; });
+      while (!arrived) yield;
+      for (let f = 0; f < holdFrames; f++) yield;
+    }
+  }
+
+  // =============================================================================
+  // RECORDING
+  // =============================================================================
+
+  async function record() {
+    if (recording) return;
+
+    const frameMs = 1000 / state.fps;
+    let path;
+    let total;
+    if (state.path === 'Saved views') {
+      const views = bookmarks?.getBookmarks?.() || [];
+      if (views.length < 2) {
+        log('Record video: Save at least two camera bookmarks for a saved-views path');
+        return;
+      }
+      path = bookmarkPath(views, frameMs);
+      total = null;   // Known once the last transition arrives
+    } else {
+      total = Math.max(1, Math.round(state.duration * state.fps));
+      path = orbitPath(total);
+    }
+
+    const outputs = await startOutputs();
+    if (!outputs.hasOutput) {
+      log('Record video: Enable WebM video and/or PNG frames');
+      return;
+    }
+
+    recording = true;
+    cancelled = false;
+    recordCtrl.disable?.();
+    stopCtrl.enable?.();
+
+    const saved = { position: camera.position.clone(), target: controls.target.clone(), enabled: controls.enabled };
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    controls.enabled = false;
+    setHold?.(true);
+    log(`Record video: ${state.path} at ${state.fps} fps`);
+
+    let frames = 0;
+    let late = 0;
+    try {
+      const start = performance.now();
+      while (!cancelled) {
+        // A timestep switch started by the timeline must land before the next frame
+        await waitForFrame?.();
+        // Path updates run before the frame; flights advance inside renderFrame's updaters
+        if (path.next().done) break;
+        renderFrame(start + frames * frameMs);
+        await outputs.capture(frames);
+        frames++;
+        setStatus(total ? `Frame ${frames} / ${total}` : `Frame ${frames}`);
+
+        if (outputs.realTime) {
+          // MediaRecorder stamps frames with the wall clock: pace them and count the ones that are late
+          const wait = start + frames * frameMs - performance.now();
+          if (wait < 0) late++;
+          await sleep(wait);
+        } else {
+          await sleep(0);   // Keep the page responsive (Stop button, encoder output)
+        }
+      }
+      setStatus('Encoding…');
+      await outputs.finish(stamp);
+      log(`Record video: ${cancelled ? 'Stopped after' : 'Finished'} ${frames} frame(s) (${(frames / state.fps).toFixed(1)} s)`);
+      if (late) {
+        log(`Record video: ${late} frame(s) rendered slower than ${state.fps} fps in real time; ` +
+          'the WebM may stutter (the PNG frames are exact)');
+      }
+    } catch (e) {
+      log(`Record video: Failed (${e.message})`);
+    } finally {
+      setHold?.(false);
+      controls.enabled = saved.enabled;
+      // Through flyTo so a transition interrupted by Stop is cancelled too
+      if (bookmarks) bookmarks.flyTo(saved.position, saved.target, 0);
+      else {
+        camera.position.copy(saved.position);
+        controls.target.copy(saved.target);
+        controls.update();
+      }
+      recording = false;
+      recordCtrl.enable?.();
+      stopCtrl.disable?.();
+      setStatus('Idle');
+    }
+  }
+
+  return {
+    folder,
+    record,
+    isRecording: () => recording
+  };
+}
@@ -5,22 +5,36 @@
  * Provides interactive controls for opacity, sampling quality, windowing, and automatic LOD.
  * 
  * Features:
- * - WebGL2-based Data3DTexture for efficient volume storage
+ * - WebGL2-based Data3DTexture for efficient volume storage (uint8, uint16 and float32 data)
  * - Front-to-back alpha compositing with early ray termination
+ * - Maximum / minimum / average intensity projection render modes
+ * - Depth-aware compositing: rays stop at the opaque CAD surface in front of them
+ * - Clipping planes shared with the CAD and isosurfaces (analytic ray interval cut)
  * - Dynamic windowing (min/max) for highlighting temperature ranges
+ * - Histogram of the volume with the window overlaid as draggable handles
  * - Automatic LOD switching based on camera distance
- * - Green-Yellow-Red colormap for thermal visualization
+ * - Editable transfer function: colormap lookup texture + piecewise-linear opacity curve
+ * - Optional Blinn-Phong shading from on-the-fly gradients (scene directional light)
+ * - Gradient-magnitude opacity modulation to emphasize thermal boundaries
  */
 
 import * as THREE from 'three';
 import { setTooltip } from './gui_utils.js';
+import { createTransferFunction, setupTransferFunctionEditor } from './transfer_function.js';
+import { setupHistogramWidget } from './histogram.js';
+import { dtypeInfo } from '../core/volume_sampling.js';
+
+// Shader render mode ids
+const RENDER_MODES = { Composite: 0, MIP: 1, MinIP: 2, Average: 3 };
 
 export function setupVolumeRaymarch({ 
   gui, 
   scene, 
   renderer, 
-  volumeBasePath, 
+  volumeData, 
   getStats, 
+  getOccluders,
+  getClipPlanes,
   wrapInFolder = true 
 }) {
   const folder = wrapInFolder ? gui.addFolder('Heat Map') : gui;
@@ -38,7 +52,7 @@ export function setupVolumeRaymarch({
   // Check WebGL2 support (required for 3D textures)
   if (!renderer?.capabilities?.isWebGL2) {
     log('Volume: WebGL2 not available; 3D texture raymarch disabled.');
-    return folder;
+    return { folder };
   }
 
   // =============================================================================
@@ -47,17 +61,33 @@ export function setupVolumeRaymarch({
 
   let volume = null;        // Current active volume (may be downsampled)
   let baseVolume = null;    // Original full-resolution volume
-  let stats = null;         // Thermal statistics from metadata
+  let stats = null;         // Histogram + percentiles of the loaded volume
   let mesh = null;          // THREE.Mesh with custom ShaderMaterial
   let lastAutoLOD = null;   // Track last auto LOD level to avoid spam
+  let depthTarget = null;   // Render target holding the CAD depth buffer
+  let baseTexture = null;   // Full-resolution 3D texture (shared with slice views)
+  let statsTimer = null;    // Pending histogram refresh after a volume change
+  let light = null;         // Directional light used for shading
+  const worldOffset = new THREE.Vector3();  // Displacement applied to the volume (exploded view)
+  const transferFn = createTransferFunction();
+  const changeListeners = [];
 
   const state = {
     enabled: false,
     opacity: 0.15,
     steps: 128,
+    renderMode: 'Composite', // 'Composite' | 'MIP' | 'MinIP' | 'Average'
     lod: 'Full',          // Internal tracking (auto-managed)
     winMin: 30,           // Window minimum (°C)
     winMax: 55,           // Window maximum (°C)
+    occludeByCAD: true,   // Terminate rays at the opaque CAD depth
+    shading: 'Off',       // 'Off' | 'Blinn-Phong'
+    ambient: 0.35,        // Blinn-Phong coefficients
+    diffuse: 0.75,
+    specular: 0.3,
+    shininess: 24,
+    gradientOpacity: false, // Scale opacity by |∇T| / gradientRef
+    gradientRef: 1.0,     // Gradient giving full opacity (°C/mm)
     resetWindow: () => {
       if (!volume) return;
       state.winMin = volume.valueRange?.[0] ?? 0;
@@ -77,7 +107,7 @@ export function setupVolumeRaymarch({
     .name('Enabled')
     .onChange(async (v) => {
       if (v) {
-        if (!volume) await loadVolume();
+        await ensureVolume();
         if (volume && !mesh) mesh = createVolumeMesh(volume);
         if (mesh && !scene.children.includes(mesh)) scene.add(mesh);
         if (mesh) {
@@ -96,12 +126,26 @@ export function setupVolumeRaymarch({
   createdCtrls.push(enabledCtrl);
   setTooltip(enabledCtrl, 'Toggle volume raymarching on/off');
 
+  // Render mode selector
+  const renderModeCtrl = folder.add(state, 'renderMode', Object.keys(RENDER_MODES))
+    .name('Render mode')
+    .onChange(v => {
+      applyUniforms();
+      log(`Volume: Render mode ${v}`);
+    });
+  createdCtrls.push(renderModeCtrl);
+  setTooltip(renderModeCtrl,
+    'Composite: alpha blending along the ray. MIP / MinIP: hottest / coldest temperature along the ray. ' +
+    'Average: mean temperature along the ray. Projections are colored through the current window ' +
+    'and drawn at the Opacity setting.'
+  );
+
   // Opacity control
   const opacityCtrl = folder.add(state, 'opacity', 0.01, 1.0, 0.01)
     .name('Opacity')
     .onChange(applyUniforms);
   createdCtrls.push(opacityCtrl);
-  setTooltip(opacityCtrl, 'Alpha per-sample within the window; higher = denser/less transparent');
+  setTooltip(opacityCtrl, 'Alpha per-sample within the window (whole-image alpha for projections); higher = denser/less transparent');
 
   // Sampling steps control
   const stepsCtrl = folder.add(state, 'steps', 16, 512, 1)
@@ -110,6 +154,43 @@ export function setupVolumeRaymarch({
   createdCtrls.push(stepsCtrl);
   setTooltip(stepsCtrl, 'Number of ray samples; higher = smoother but slower');
 
+  // Depth-aware compositing toggle
+  const occludeCtrl = folder.add(state, 'occludeByCAD')
+    .name('Occlude by CAD')
+    .onChange(applyUniforms);
+  createdCtrls.push(occludeCtrl);
+  setTooltip(occludeCtrl, 'Stop rays at CAD surfaces so heat behind components is hidden by them');
+
+  // Gradient shading and boundary emphasis
+  const shadingFolder = folder.addFolder('Shading');
+  shadingFolder.close?.();
+
+  const shadingCtrl = shadingFolder.add(state, 'shading', ['Off', 'Blinn-Phong'])
+    .name('Lighting')
+    .onChange(applyUniforms);
+  setTooltip(shadingCtrl, 'Light the heat cloud using the temperature gradient as surface normal (scene directional light)');
+
+  const ambientCtrl = shadingFolder.add(state, 'ambient', 0, 1, 0.01).name('Ambient').onChange(applyUniforms);
+  const diffuseCtrl = shadingFolder.add(state, 'diffuse', 0, 1.5, 0.01).name('Diffuse').onChange(applyUniforms);
+  const specularCtrl = shadingFolder.add(state, 'specular', 0, 1, 0.01).name('Specular').onChange(applyUniforms);
+  const shininessCtrl = shadingFolder.add(state, 'shininess', 1, 128, 1).name('Shininess').onChange(applyUniforms);
+  setTooltip(ambientCtrl, 'Unlit share of the sample color');
+  setTooltip(diffuseCtrl, 'Lambertian term strength');
+  setTooltip(specularCtrl, 'Highlight strength');
+  setTooltip(shininessCtrl, 'Highlight sharpness (Blinn-Phong exponent)');
+
+  const gradOpacityCtrl = shadingFolder.add(state, 'gradientOpacity')
+    .name('Boundary emphasis')
+    .onChange(applyUniforms);
+  setTooltip(gradOpacityCtrl, 'Scale opacity by the gradient magnitude |∇T| so thermal boundaries stand out and uniform regions fade');
+
+  const gradRefCtrl = shadingFolder.add(state, 'gradientRef', 0.05, 20, 0.05)
+    .name('|∇T| ref (°C/mm)')
+    .onChange(applyUniforms);
+  setTooltip(gradRefCtrl, 'Gradient magnitude that receives full opacity in boundary emphasis mode');
+
+  createdCtrls.push(shadingCtrl, ambientCtrl, diffuseCtrl, specularCtrl, shininessCtrl, gradOpacityCtrl, gradRefCtrl);
+
   // Windowing controls (subfolder for organization)
   const windowFolder = folder.addFolder('Windowing');
   if (windowFolder?.open) windowFolder.open();
@@ -143,12 +224,20 @@ export function setupVolumeRaymarch({
   createdCtrls.push(resetCtrl);
   setTooltip(resetCtrl, 'Reset window to full data range');
 
-  // Load statistics in background
-  (async () => {
-    try {
-      stats = await getStats?.();
-    } catch {}
-  })();
+  // Histogram with the window overlaid (drag edges or the window itself)
+  const histogram = setupHistogramWidget({
+    gui: windowFolder,
+    getWindow: () => [state.winMin, state.winMax],
+    setWindow
+  });
+
+  // Transfer function (colormap + opacity curve) editor
+  const tfEditor = setupTransferFunctionEditor({
+    gui: folder,
+    tf: transferFn,
+    getDomain: () => [state.winMin, state.winMax]
+  });
+  transferFn.onChange(applyUniforms);
 
   // =============================================================================
   // AUTO LOD SYSTEM
@@ -180,7 +269,7 @@ export function setupVolumeRaymarch({
             log(`Auto volume LOD: ${desired} (distance ${dist.toFixed(3)})`);
             if (!baseVolume) {
               try {
-                await loadVolume();
+                await ensureVolume();
               } catch {}
             }
             if (baseVolume) await rebuildLOD();
@@ -191,81 +280,181 @@ export function setupVolumeRaymarch({
   } catch {}
 
   // =============================================================================
-  // VOLUME DATA LOADING
+  // CAD DEPTH PRE-PASS
   // =============================================================================
 
   /**
-   * Loads volume metadata (JSON) and binary data
+   * Renders the opaque CAD models into a depth texture before the main pass.
+   * The raymarch shader reads it back to clip each ray at the first CAD surface.
+   * Offscreen renders (image export tiles) pass their target size as width / height.
    */
-  async function loadVolume() {
+  try {
+    const registerPreRender = window.__registerPreRender;
+    registerPreRender?.(({ camera, renderer: r, scene: s, width, height }) => {
+      if (!mesh || !state.enabled || !state.occludeByCAD) return;
+      renderOccluderDepth(r || renderer, s || scene, camera, width, height);
+    });
+  } catch {}
+
+  /**
+   * Ensures the depth render target matches the given size
+   */
+  function ensureDepthTarget(width, height) {
+    const w = Math.max(1, Math.floor(width));
+    const h = Math.max(1, Math.floor(height));
+    if (!depthTarget) {
+      depthTarget = new THREE.WebGLRenderTarget(w, h, {
+        depthBuffer: true,
+        depthTexture: new THREE.DepthTexture(w, h)
+      });
+    } else if (depthTarget.width !== w || depthTarget.height !== h) {
+      depthTarget.setSize(w, h);
+    }
+    return depthTarget;
+  }
+
+  /**
+   * Renders only the occluders (CAD models) into the depth target.
+   * Everything else except lights is hidden for the duration of the pass.
+   */
+  function renderOccluderDepth(r, s, camera, width, height) {
+    const size = r.getDrawingBufferSize(new THREE.Vector2());
+    const target = ensureDepthTarget(width ?? size.x, height ?? size.y);
+
+    const occluders = new Set(getOccluders?.() || []);
+    const hidden = [];
+    for (const child of s.children) {
+      if (child.isLight || occluders.has(child) || !child.visible) continue;
+      child.visible = false;
+      hidden.push(child);
+    }
+
+    const prevTarget = r.getRenderTarget();
     try {
-      const metaRes = await fetch(volumeBasePath + 'volume.json?v=' + Date.now());
-      const meta = await metaRes.json();
-      const binRes = await fetch(volumeBasePath + 'volume.bin?v=' + Date.now());
-      const buf = await binRes.arrayBuffer();
-
-      const dims = meta.dimensions || meta.dims;
-      baseVolume = {
-        dims,
-        spacing: meta.spacing,
-        origin: meta.origin || [0, 0, 0],
-        valueRange: meta.valueRange,
-        data: new Uint8Array(buf)
-      };
-      volume = baseVolume;
+      r.setRenderTarget(target);
+      r.clear();
+      r.render(s, camera);
+    } finally {
+      r.setRenderTarget(prevTarget);
+      hidden.forEach(child => { child.visible = true; });
+    }
 
-      // Initialize window range
-      if (state.winMin === undefined || state.winMax === undefined) {
-        state.winMin = volume.valueRange?.[0] ?? 0;
-        state.winMax = volume.valueRange?.[1] ?? 1;
-      }
+    if (mesh?.material?.uniforms?.uSceneDepth) {
+      mesh.material.uniforms.uSceneDepth.value = target.depthTexture;
+    }
+  }
 
-      // Update slider domains dynamically based on value range
-      const v0 = volume.valueRange?.[0] ?? 30;
-      const v1 = volume.valueRange?.[1] ?? 55;
-      const span = Math.max(1e-6, Math.abs(v1 - v0));
-      const pad = Math.max(0.5, span * 0.1);
-      const rangeMin = Math.min(v0, v1) - pad;
-      const rangeMax = Math.max(v0, v1) + pad;
-
-      if (winMinCtrl?.min && winMinCtrl?.max) {
-        winMinCtrl.min(rangeMin);
-        winMinCtrl.max(rangeMax);
-      }
-      if (winMaxCtrl?.min && winMaxCtrl?.max) {
-        winMaxCtrl.min(rangeMin);
-        winMaxCtrl.max(rangeMax);
-      }
+  // =============================================================================
+  // VOLUME DATA LOADING
+  // =============================================================================
 
-      winMinCtrl.updateDisplay?.();
-      winMaxCtrl.updateDisplay?.();
+  /**
+   * Loads the shared volume (downloaded once for all modules)
+   * @returns {Promise<Object|null>} The full-resolution volume
+   */
+  async function ensureVolume() {
+    if (baseVolume) return baseVolume;
+    const vol = await volumeData.load();
+    if (!vol) log('Volume: Failed to load (volume.json / volume.bin).');
+    return baseVolume;
+  }
 
-      log('Volume: Loaded volume.bin/json for raymarching.');
+  /**
+   * Adopts a newly loaded volume: window domain, histogram, textures and mesh
+   */
+  function adoptVolume(vol) {
+    if (!vol || vol === baseVolume) return;
+
+    // Timesteps share the grid: re-upload into the existing texture
+    const sameGrid = baseVolume && baseTexture &&
+      vol.dtype === baseVolume.dtype &&
+      vol.dims.every((d, i) => d === baseVolume.dims[i]);
+    if (sameGrid) {
+      const { data } = textureSamples(vol);
+      baseTexture.image.data = data;
+      baseTexture.needsUpdate = true;
+    } else if (baseTexture) {
+      baseTexture.dispose();
+      baseTexture = null;
+    }
+    const firstLoad = !baseVolume;
+    baseVolume = vol;
+    volume = baseVolume;
 
-      if (state.lod !== 'Full') {
-        await rebuildLOD();
-      } else {
-        const dims = volume.dims || [0, 0, 0];
-        log(`Volume mesh switched to Full (dims ${dims[0]}x${dims[1]}x${dims[2]})`);
+    // Initialize window range
+    if (state.winMin === undefined || state.winMax === undefined) {
+      state.winMin = volume.valueRange?.[0] ?? 0;
+      state.winMax = volume.valueRange?.[1] ?? 1;
+    }
+
+    // Update slider domains dynamically based on value range
+    const v0 = volume.valueRange?.[0] ?? 30;
+    const v1 = volume.valueRange?.[1] ?? 55;
+    const span = Math.max(1e-6, Math.abs(v1 - v0));
+    const pad = Math.max(0.5, span * 0.1);
+    const rangeMin = Math.min(v0, v1) - pad;
+    const rangeMax = Math.max(v0, v1) + pad;
+
+    if (winMinCtrl?.min && winMinCtrl?.max) {
+      winMinCtrl.min(rangeMin);
+      winMinCtrl.max(rangeMax);
+    }
+    if (winMaxCtrl?.min && winMaxCtrl?.max) {
+      winMaxCtrl.min(rangeMin);
+      winMaxCtrl.max(rangeMax);
+    }
+
+    winMinCtrl.updateDisplay?.();
+    winMaxCtrl.updateDisplay?.();
+
+    if (firstLoad) log('Volume: Loaded volume.bin/json for raymarching.');
+
+    // Histogram is computed in a worker; don't hold up the first render.
+    // Debounced so timeline playback doesn't queue one computation per frame.
+    clearTimeout(statsTimer);
+    statsTimer = setTimeout(async () => {
+      try {
+        stats = await getStats?.();
+        histogram.setStats(stats);
+      } catch (e) {
+        console.warn('Failed to compute volume histogram', e);
       }
-    } catch (e) {
-      console.warn('Failed to load volume for raymarch', e);
-      log('Volume: Failed to load (volume.json / volume.bin).');
+    }, firstLoad ? 0 : 400);
+
+    if (mesh?.material?.isShaderMaterial) {
+      mesh.material.uniforms.uValueMin.value = volume.valueRange?.[0] ?? 0;
+      mesh.material.uniforms.uValueMax.value = volume.valueRange?.[1] ?? 1;
+    }
+
+    if (state.lod !== 'Full' || mesh) {
+      rebuildLOD();
+    } else {
+      const dims = volume.dims || [0, 0, 0];
+      log(`Volume mesh switched to Full (dims ${dims[0]}x${dims[1]}x${dims[2]})`);
     }
+    applyUniforms();
   }
 
+  volumeData.onChange(adoptVolume);
+  adoptVolume(volumeData.get());
+
   // =============================================================================
   // 3D TEXTURE CREATION
   // =============================================================================
 
   /**
-   * Creates a THREE.Data3DTexture from volume data
+   * Creates a THREE.Data3DTexture from volume data.
+   * The shader expects samples normalized over valueRange: uint8 uploads as R8
+   * directly; uint16/float32 are normalized to float and uploaded as R32F, or
+   * R16F where linear filtering of float textures is unsupported (WebGL has no
+   * filterable 16-bit normalized format without extensions).
    */
   function createVolumeTexture(vol) {
     const [X, Y, Z] = vol.dims;
-    const tex = new THREE.Data3DTexture(vol.data, X, Y, Z);
+    const { data, type } = textureSamples(vol);
+    const tex = new THREE.Data3DTexture(data, X, Y, Z);
+    tex.type = type;
     tex.format = THREE.RedFormat;
-    tex.type = THREE.UnsignedByteType;
     tex.minFilter = THREE.LinearFilter;
     tex.magFilter = THREE.LinearFilter;
     tex.unpackAlignment = 1;
@@ -273,6 +462,49 @@ export function setupVolumeRaymarch({
     return tex;
   }
 
+  /**
+   * Texture upload data for a volume: { data, type }
+   */
+  function textureSamples(vol) {
+    if (vol.dtype === 'uint8' || !vol.dtype) {
+      return { data: vol.data, type: THREE.UnsignedByteType };
+    }
+
+    const { maxValue } = dtypeInfo(vol.dtype);
+    const v0 = vol.valueRange?.[0] ?? 0;
+    const v1 = vol.valueRange?.[1] ?? 1;
+    const toUnit = maxValue === null
+      ? (s) => (s - v0) / Math.max(1e-12, v1 - v0)
+      : (s) => s / maxValue;
+    const src = vol.data;
+    const n = src.length;
+
+    if (renderer.extensions?.has?.('OES_texture_float_linear')) {
+      const out = new Float32Array(n);
+      for (let i = 0; i < n; i++) out[i] = toUnit(src[i]);
+      return { data: out, type: THREE.FloatType };
+    }
+    const out = new Uint16Array(n);
+    for (let i = 0; i < n; i++) out[i] = THREE.DataUtils.toHalfFloat(toUnit(src[i]));
+    return { data: out, type: THREE.HalfFloatType };
+  }
+
+  /**
+   * Returns the cached full-resolution texture, creating it on first use
+   */
+  function getBaseTexture() {
+    if (!baseVolume) return null;
+    if (!baseTexture) baseTexture = createVolumeTexture(baseVolume);
+    return baseTexture;
+  }
+
+  /**
+   * Returns a texture for the given volume, reusing the full-resolution one
+   */
+  function textureFor(vol) {
+    return vol === baseVolume ? getBaseTexture() : createVolumeTexture(vol);
+  }
+
   // =============================================================================
   // LOD DOWNSAMPLING
   // =============================================================================
@@ -296,8 +528,10 @@ export function setupVolumeRaymarch({
 
     // Update mesh texture if it exists
     if (mesh?.material?.isShaderMaterial) {
-      const tex = createVolumeTexture(volume);
+      const oldTex = mesh.material.uniforms.uVolume.value;
+      const tex = textureFor(volume);
       mesh.material.uniforms.uVolume.value = tex;
+      if (oldTex && oldTex !== tex && oldTex !== baseTexture) oldTex.dispose();
       mesh.material.uniforms.uDims.value.set(volume.dims[0], volume.dims[1], volume.dims[2]);
 
       // Recompute size and center to preserve world scale
@@ -307,8 +541,9 @@ export function setupVolumeRaymarch({
       const size = new THREE.Vector3((X - 1) * sx, (Y - 1) * sy, (Z - 1) * sz);
       const center = new THREE.Vector3(ox + 0.5 * size.x, oy + 0.5 * size.y, oz + 0.5 * size.z);
 
-      mesh.position.copy(center);
+      mesh.position.copy(center).add(worldOffset);
       mesh.scale.copy(size);
+      mesh.material.uniforms.uVolumeSize.value.copy(size);
       mesh.material.needsUpdate = true;
     }
 
@@ -325,7 +560,9 @@ export function setupVolumeRaymarch({
     const ny = Math.max(1, Math.floor((Y + stride - 1) / stride));
     const nz = Math.max(1, Math.floor((Z + stride - 1) / stride));
 
-    const dst = new Uint8Array(nx * ny * nz);
+    // Keep the source sample type; only integer types need rounding
+    const dst = new src.data.constructor(nx * ny * nz);
+    const round = dtypeInfo(src.dtype).maxValue === null ? (v) => v : Math.round;
     const data = src.data;
     const block = stride;
 
@@ -349,7 +586,7 @@ export function setupVolumeRaymarch({
               }
             }
           }
-          dst[di++] = cnt ? Math.round(sum / cnt) : 0;
+          dst[di++] = cnt ? round(sum / cnt) : 0;
         }
       }
     }
@@ -366,6 +603,7 @@ export function setupVolumeRaymarch({
       spacing,
       origin: src.origin,
       valueRange: src.valueRange,
+      dtype: src.dtype,
       data: dst
     };
   }
@@ -378,7 +616,7 @@ export function setupVolumeRaymarch({
    * Creates the volume rendering mesh with custom raymarching shader
    */
   function createVolumeMesh(vol) {
-    const texture = createVolumeTexture(vol);
+    const texture = textureFor(vol);
     const [X, Y, Z] = vol.dims;
     const [sx, sy, sz] = vol.spacing;
     const [ox, oy, oz] = vol.origin;
@@ -406,11 +644,29 @@ export function setupVolumeRaymarch({
         uWinMin: { value: state.winMin },
         uWinMax: { value: state.winMax },
         uOpacity: { value: state.opacity },
+        uColorLUT: { value: transferFn.colorTexture },
+        uOpacityLUT: { value: transferFn.opacityTexture },
+        uLutSize: { value: transferFn.lutSize },
         uSteps: { value: state.steps },
         uInvModel: { value: new THREE.Matrix4() },
         uCameraWorld: { value: new THREE.Vector3() },
         uBoxMin: { value: new THREE.Vector3(-0.5, -0.5, -0.5) },
-        uBoxMax: { value: new THREE.Vector3(0.5, 0.5, 0.5) }
+        uBoxMax: { value: new THREE.Vector3(0.5, 0.5, 0.5) },
+        uSceneDepth: { value: null },
+        uUseSceneDepth: { value: false },
+        uResolution: { value: new THREE.Vector2(1, 1) },
+        uProjInv: { value: new THREE.Matrix4() },
+        uCamMatrixWorld: { value: new THREE.Matrix4() },
+        uClipPlanes: { value: [new THREE.Vector4(), new THREE.Vector4(), new THREE.Vector4()] },
+        uNumClipPlanes: { value: 0 },
+        uVolumeSize: { value: size.clone() },
+        uShading: { value: false },
+        uLightDir: { value: new THREE.Vector3(1, 1, 1).normalize() },
+        uLightColor: { value: new THREE.Color(1, 1, 1) },
+        uPhong: { value: new THREE.Vector4(0.35, 0.75, 0.3, 24) },
+        uGradientOpacity: { value: false },
+        uGradientRef: { value: 1000 },
+        uRenderMode: { value: 0 }
       },
       vertexShader: `
         out vec3 vWorldPos;
@@ -432,24 +688,34 @@ export function setupVolumeRaymarch({
         uniform float uValueMin, uValueMax;
         uniform float uWinMin, uWinMax;
         uniform float uOpacity;
+        uniform sampler2D uColorLUT;
+        uniform sampler2D uOpacityLUT;
+        uniform float uLutSize;
         uniform int uSteps;
         uniform mat4 uInvModel;
         uniform vec3 uCameraWorld;
         uniform vec3 uBoxMin;
         uniform vec3 uBoxMax;
-
-        // Green-Yellow-Red thermal colormap
-        vec3 colormapGYR(float v) {
+        uniform sampler2D uSceneDepth;
+        uniform bool uUseSceneDepth;
+        uniform vec2 uResolution;
+        uniform mat4 uProjInv;
+        uniform mat4 uCamMatrixWorld;
+        uniform vec4 uClipPlanes[3];   // Object-space planes (normal, constant)
+        uniform int uNumClipPlanes;
+        uniform vec3 uVolumeSize;      // World size of the box (m)
+        uniform bool uShading;
+        uniform vec3 uLightDir;        // World direction toward the light
+        uniform vec3 uLightColor;
+        uniform vec4 uPhong;           // ambient, diffuse, specular, shininess
+        uniform bool uGradientOpacity;
+        uniform float uGradientRef;    // °C/m giving full opacity
+        uniform int uRenderMode;       // 0 composite, 1 MIP, 2 MinIP, 3 average
+
+        // Position within the display window mapped onto lookup texel centers
+        vec2 lutCoord(float v) {
           float t = clamp((v - uWinMin) / max(1e-6, (uWinMax - uWinMin)), 0.0, 1.0);
-          vec3 green  = vec3(0.184, 0.800, 0.443);
-          vec3 yellow = vec3(0.945, 0.769, 0.200);
-          vec3 red    = vec3(0.905, 0.298, 0.235);
-          
-          if (t <= 0.5) {
-            return mix(green, yellow, t * 2.0);
-          } else {
-            return mix(yellow, red, (t - 0.5) * 2.0);
-          }
+          return vec2((t * (uLutSize - 1.0) + 0.5) / uLutSize, 0.5);
         }
 
         // Ray-AABB intersection (returns tmin, tmax)
@@ -463,6 +729,41 @@ export function setupVolumeRaymarch({
           return vec2(tmin, tmax);
         }
 
+        // Distance along the object-space ray to the nearest opaque CAD surface
+        float sceneDepthT(vec3 camObj, vec3 rd) {
+          vec2 uv = gl_FragCoord.xy / uResolution;
+          float d = texture(uSceneDepth, uv).r;
+          if (d >= 1.0) return 1e20;  // Background: nothing to stop at
+
+          vec4 ndc = vec4(uv * 2.0 - 1.0, d * 2.0 - 1.0, 1.0);
+          vec4 view = uProjInv * ndc;
+          view /= view.w;
+          vec3 world = (uCamMatrixWorld * view).xyz;
+          vec3 obj = (uInvModel * vec4(world, 1.0)).xyz;
+          return dot(obj - camObj, rd);
+        }
+
+        // Temperature gradient (°C/m, world axes) by central differences in texture space
+        vec3 gradientAt(vec3 uvw) {
+          vec3 h = 1.0 / uDims;
+          float gx = texture(uVolume, uvw + vec3(h.x, 0.0, 0.0)).r - texture(uVolume, uvw - vec3(h.x, 0.0, 0.0)).r;
+          float gy = texture(uVolume, uvw + vec3(0.0, h.y, 0.0)).r - texture(uVolume, uvw - vec3(0.0, h.y, 0.0)).r;
+          float gz = texture(uVolume, uvw + vec3(0.0, 0.0, h.z)).r - texture(uVolume, uvw - vec3(0.0, 0.0, h.z)).r;
+          return vec3(gx, gy, gz) / (2.0 * h) * (uValueMax - uValueMin) / uVolumeSize;
+        }
+
+        // Blinn-Phong with the gradient as normal (two-sided, facing the viewer)
+        vec3 shade(vec3 c, vec3 g, vec3 viewDir) {
+          float gl = length(g);
+          if (gl < 1e-6) return c * (uPhong.x + uPhong.y);
+          vec3 n = -g / gl;
+          if (dot(n, viewDir) < 0.0) n = -n;
+          vec3 h = normalize(uLightDir + viewDir);
+          float diff = max(dot(n, uLightDir), 0.0);
+          float spec = pow(max(dot(n, h), 0.0), uPhong.w);
+          return c * (uPhong.x + uPhong.y * diff) * uLightColor + uPhong.z * spec * uLightColor;
+        }
+
         // Hash-based jitter to reduce banding artifacts
         float hash31(vec3 p) {
           return fract(sin(dot(p, vec3(12.9898, 78.233, 37.719))) * 43758.5453);
@@ -480,11 +781,41 @@ export function setupVolumeRaymarch({
 
           float t0 = max(0.0, hit.x) + 1e-4;
           float t1 = hit.y;
+
+          // Restrict the ray to the kept side of each clipping plane
+          for (int k = 0; k < 3; ++k) {
+            if (k >= uNumClipPlanes) break;
+            vec3 n = uClipPlanes[k].xyz;
+            float d0 = dot(n, camObj) + uClipPlanes[k].w;
+            float dn = dot(n, rd);
+            if (abs(dn) < 1e-8) {
+              if (d0 < 0.0) discard;
+            } else if (dn > 0.0) {
+              t0 = max(t0, -d0 / dn);
+            } else {
+              t1 = min(t1, -d0 / dn);
+            }
+          }
+          if (t1 <= t0) discard;
+
+          // Stop at the first opaque CAD surface along the ray
+          if (uUseSceneDepth) {
+            t1 = min(t1, sceneDepthT(camObj, rd));
+            if (t1 <= t0) discard;
+          }
           
           int N = uSteps;
           float dt = (t1 - t0) / float(N);
           vec4 acc = vec4(0.0);
           float jitter = hash31(vWorldPos) * dt;
+          vec3 viewDir = normalize(uCameraWorld - vWorldPos);
+          bool needGradient = uShading || uGradientOpacity;
+
+          // Projection accumulators
+          float vMax = -1e30;
+          float vMin = 1e30;
+          float vSum = 0.0;
+          float nSum = 0.0;
 
           // Front-to-back raymarching with early termination
           for (int i = 0; i < 1024; ++i) {
@@ -499,9 +830,21 @@ export function setupVolumeRaymarch({
             float s = texture(uVolume, uvw).r;
             float val = uValueMin + s * (uValueMax - uValueMin);
 
-            // Apply windowing
-            float a = uOpacity * smoothstep(uWinMin, uWinMax, val);
-            vec3 c = colormapGYR(val);
+            if (uRenderMode == 1) { vMax = max(vMax, val); continue; }
+            if (uRenderMode == 2) { vMin = min(vMin, val); continue; }
+            if (uRenderMode == 3) { vSum += val; nSum += 1.0; continue; }
+
+            // Apply transfer function over the window
+            vec2 lc = lutCoord(val);
+            float a = uOpacity * texture(uOpacityLUT, lc).r;
+            if (a <= 0.0) continue;
+            vec3 c = texture(uColorLUT, lc).rgb;
+
+            if (needGradient) {
+              vec3 g = gradientAt(uvw);
+              if (uGradientOpacity) a *= clamp(length(g) / uGradientRef, 0.0, 1.0);
+              if (uShading) c = shade(c, g, viewDir);
+            }
 
             // Composite
             acc.rgb += (1.0 - acc.a) * a * c;
@@ -510,13 +853,25 @@ export function setupVolumeRaymarch({
             if (acc.a > 0.98) break;  // Early ray termination
           }
 
+          // Projections: one value per ray, colored through the window at a uniform opacity
+          // (the opacity curve describes per-sample density, not a projected value)
+          if (uRenderMode != 0) {
+            float v;
+            if (uRenderMode == 1) v = vMax;
+            else if (uRenderMode == 2) v = vMin;
+            else v = nSum > 0.0 ? vSum / nSum : -1e30;
+            if (v <= -1e29 || v >= 1e29) discard;
+            out_FragColor = vec4(texture(uColorLUT, lutCoord(v)).rgb, uOpacity);
+            return;
+          }
+
           out_FragColor = acc;
         }
       `
     });
 
     const m = new THREE.Mesh(geom, mat);
-    m.position.copy(center);
+    m.position.copy(center).add(worldOffset);
     m.scale.copy(size);
     m.renderOrder = 900;  // Draw above CAD models
 
@@ -527,6 +882,40 @@ export function setupVolumeRaymarch({
       material.uniforms.uInvModel.value.copy(
         new THREE.Matrix4().copy(m.matrixWorld).invert()
       );
+
+      // Depth reconstruction needs the camera and the size of the active target
+      material.uniforms.uProjInv.value.copy(camera.projectionMatrixInverse);
+      material.uniforms.uCamMatrixWorld.value.copy(camera.matrixWorld);
+      const rt = renderer.getRenderTarget();
+      if (rt) material.uniforms.uResolution.value.set(rt.width, rt.height);
+      else renderer.getDrawingBufferSize(material.uniforms.uResolution.value);
+      material.uniforms.uUseSceneDepth.value =
+        !!(state.occludeByCAD && material.uniforms.uSceneDepth.value);
+
+      // Clipping planes are shared in world space; the shader works in object space
+      const clip = getClipPlanes?.() || [];
+      const n = Math.min(3, clip.length);
+      const invModel = material.uniforms.uInvModel.value;
+      for (let i = 0; i < n; i++) {
+        const p = clip[i].clone().applyMatrix4(invModel);
+        material.uniforms.uClipPlanes.value[i].set(p.normal.x, p.normal.y, p.normal.z, p.constant);
+      }
+      material.uniforms.uNumClipPlanes.value = n;
+
+      // Shading follows the scene's first directional light
+      if (state.shading !== 'Off') {
+        if (!light || !light.parent) {
+          light = null;
+          (sceneArg || scene).traverse(o => { if (!light && o.isDirectionalLight) light = o; });
+        }
+        if (light) {
+          const dir = material.uniforms.uLightDir.value;
+          dir.setFromMatrixPosition(light.matrixWorld)
+            .sub(new THREE.Vector3().setFromMatrixPosition(light.target.matrixWorld))
+            .normalize();
+          material.uniforms.uLightColor.value.copy(light.color).multiplyScalar(Math.min(1.5, light.intensity));
+        }
+      }
     };
 
     applyUniformsTo(mat);
@@ -546,21 +935,112 @@ export function setupVolumeRaymarch({
     material.uniforms.uSteps.value = Math.max(1, Math.floor(state.steps));
     if (state.winMin !== undefined) material.uniforms.uWinMin.value = state.winMin;
     if (state.winMax !== undefined) material.uniforms.uWinMax.value = state.winMax;
+    material.uniforms.uRenderMode.value = RENDER_MODES[state.renderMode] ?? 0;
+    material.uniforms.uShading.value = state.shading !== 'Off';
+    material.uniforms.uPhong.value.set(state.ambient, state.diffuse, state.specular, state.shininess);
+    material.uniforms.uGradientOpacity.value = !!state.gradientOpacity;
+    material.uniforms.uGradientRef.value = Math.max(1e-6, state.gradientRef) * 1000;  // °C/mm -> °C/m
     if (mesh) {
       const inv = new THREE.Matrix4().copy(mesh.matrixWorld).invert();
       material.uniforms.uInvModel.value.copy(inv);
     }
   }
 
+  /**
+   * Sets the display window (°C) and refreshes the sliders
+   */
+  function setWindow(min, max) {
+    if (!isFinite(min) || !isFinite(max)) return;
+    state.winMin = Math.min(min, max);
+    state.winMax = Math.max(min, max);
+    winMinCtrl.updateDisplay?.();
+    winMaxCtrl.updateDisplay?.();
+    applyUniforms();
+  }
+
   /**
    * Updates uniforms on the active mesh material
    */
   function applyUniforms() {
+    tfEditor?.redraw();
+    histogram?.redraw();
     if (mesh?.material?.isShaderMaterial) {
       applyUniformsTo(mesh.material);
       mesh.material.needsUpdate = true;
     }
+    changeListeners.forEach(fn => { try { fn(); } catch {} });
+  }
+
+  /**
+   * Moves the volume away from its data position (e.g. following an exploded component)
+   * @param {THREE.Vector3} v - World-space displacement
+   */
+  function setOffset(v) {
+    if (mesh) mesh.position.sub(worldOffset).add(v);
+    worldOffset.copy(v);
+  }
+
+  // =============================================================================
+  // VIEW STATE
+  // =============================================================================
+
+  /**
+   * Display settings worth sharing in a view link
+   */
+  function getViewState() {
+    return {
+      enabled: state.enabled,
+      renderMode: state.renderMode,
+      opacity: state.opacity,
+      steps: state.steps,
+      winMin: state.winMin,
+      winMax: state.winMax,
+      shading: state.shading
+    };
+  }
+
+  /**
+   * Applies settings captured by getViewState (missing fields keep their current value)
+   */
+  async function applyViewState(s) {
+    if (!s) return;
+    if (RENDER_MODES[s.renderMode] !== undefined) state.renderMode = s.renderMode;
+    if (s.shading === 'Off' || s.shading === 'Blinn-Phong') state.shading = s.shading;
+    if (isFinite(s.opacity)) state.opacity = Math.min(1, Math.max(0.01, s.opacity));
+    if (isFinite(s.steps)) state.steps = Math.min(512, Math.max(16, Math.round(s.steps)));
+    [renderModeCtrl, shadingCtrl, opacityCtrl, stepsCtrl].forEach(c => c.updateDisplay?.());
+    if (isFinite(s.winMin) && isFinite(s.winMax)) setWindow(s.winMin, s.winMax);
+    else applyUniforms();
+    if (typeof s.enabled === 'boolean' && s.enabled !== state.enabled) {
+      enabledCtrl.setValue(s.enabled);
+    }
   }
 
-  return folder;
+  // =============================================================================
+  // PUBLIC API
+  // =============================================================================
+
+  return {
+    folder,
+    transferFunction: transferFn,
+    ensureVolume,
+    getVolume: () => baseVolume,
+    getTexture: getBaseTexture,
+    getWindow: () => [state.winMin, state.winMax],
+    setWindow,
+    /** True while the heat map is drawn */
+    isEnabled: () => state.enabled && !!mesh?.visible,
+    setOffset,
+    /** Current displacement of the volume (world space) */
+    getOffset: () => worldOffset.clone(),
+    getStats: () => stats,
+    getViewState,
+    applyViewState,
+    /**
+     * Registers a callback fired when display settings (window, opacity, transfer function) change
+     */
+    onChange(fn) {
+      if (typeof fn === 'function') changeListeners.push(fn);
+    }
+  };
 }
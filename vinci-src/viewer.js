@@ -13,11 +13,36 @@ import GUI from 'lil-gui';
 // Core modules
 import { createScene } from './core/scene.js';
 import { ensureLogGui, logEvent, getLogGui } from './core/logging.js';
-import { registerUpdater, runUpdaters } from './core/updaters.js';
+import {
+  registerUpdater, runUpdaters,
+  registerPreRender, runPreRender,
+  registerPostRender, runPostRender
+} from './core/updaters.js';
+import { createPicker } from './core/picking.js';
+import { createLabelLayer } from './core/labels.js';
+import { createVolumeData } from './core/volume_data.js';
+import { createViewState, roundSig } from './core/view_state.js';
 
 // Visualization modules
 import { setupVolumeRaymarch } from './modules/volume_raymarch.js';
 import { setupRuntimeIso } from './modules/runtime_iso.js';
+import { setupClipping } from './modules/clipping.js';
+import { setupSliceViews } from './modules/slice_views.js';
+import { setupProbe } from './modules/probe.js';
+import { setupMeasure } from './modules/measure.js';
+import { setupAnnotations } from './modules/annotations.js';
+import { setupComponentStats } from './modules/component_stats.js';
+import { computeHistogramStats } from './modules/histogram.js';
+import { setupTimeline } from './modules/timeline.js';
+import { setupCameraBookmarks } from './modules/camera_bookmarks.js';
+import { setupFocusIsolate } from './modules/focus_isolate.js';
+import { setupExplodedView } from './modules/exploded_view.js';
+import { setupAppearance, createAppearanceMaterial, setEdgeLines } from './modules/appearance.js';
+import { setupSurfaceHeat } from './modules/surface_heat.js';
+import { setupColorLegend } from './modules/color_legend.js';
+import { setupImageExport } from './modules/image_export.js';
+import { setupVideoRecorder } from './modules/video_recorder.js';
+import { setTooltip } from './modules/gui_utils.js';
 
 // =============================================================================
 // CONFIGURATION
@@ -35,6 +60,7 @@ const GLB_BASE_PATH = './data/glb_files_organized/';
 const MANIFEST_PATH = GLB_BASE_PATH + 'manifest.json';
 const LOD_MANIFEST_PATH = GLB_BASE_PATH + 'lod_manifest.json';
 const BBOXES_PATH = GLB_BASE_PATH + 'bboxes.json';
+const VOLUME_BASE_PATH = './data/volume/';
 
 // Available LOD levels (percentage of original detail)
 const LOD_SUFFIXES = ['100', '50', '20', '10', '05', '02', '01'];
@@ -83,9 +109,10 @@ async function fetchWithTimeout(url, options = {}, timeoutMs = NETWORK_TIMEOUT)
 
 let manifest = null;           // Primary GLB file manifest
 let lodManifest = null;        // LOD-specific manifest
-let isoStats = null;           // Thermal data statistics
+let isoStats = null;           // Promise of thermal data statistics
 let bboxIndex = null;          // Precomputed bounding boxes
 let showBBoxes = false;        // Global bounding box visibility toggle
+let holdFrames = false;        // Render loop paused while the video recorder drives frames
 
 const loadedModels = {};       // Stores loaded THREE.LOD objects and metadata
 let loadedCount = 0;
@@ -95,6 +122,22 @@ const loader = new GLTFLoader();
 // UI references
 let meshGui = null;
 let heatGui = null;
+let toolsGui = null;
+
+// Analysis subsystems (created in buildPanels)
+let clipping = null;
+let raymarch = null;
+let runtimeIso = null;
+let timeline = null;
+let bookmarks = null;
+let exploded = null;
+let appearance = null;
+let surfaceHeat = null;
+let legend = null;
+let slices = null;
+
+// Component visibility toggles ({ names, obj, ctrl }), read by the shared view state
+let componentToggles = [];
 
 // =============================================================================
 // MANIFEST & METADATA LOADERS
@@ -133,25 +176,23 @@ async function loadLODManifest() {
 }
 
 /**
- * Loads thermal statistics from volume metadata
+ * Computes thermal statistics (histogram + percentiles) from the volume data.
+ * Shared by every consumer of getStats; computed once per loaded volume.
  */
 async function loadIsoStats() {
-  if (isoStats) return isoStats;
-  try {
-    const res = await fetchWithTimeout('./data/volume/volume.json?v=' + CACHE_BUSTER());
-    if (!res.ok) throw new Error('Failed to fetch volume metadata');
-    const meta = await res.json();
-    const vmin = meta?.valueRange?.[0] ?? 0;
-    const vmax = meta?.valueRange?.[1] ?? 1;
-    const mid = (vmin + vmax) * 0.5;
-    isoStats = {
-      min: vmin,
-      max: vmax,
-      percentiles: { p10: vmin, p75: mid, p975: vmax }
-    };
-  } catch (e) {
-    console.warn('Failed to load volume statistics.', e);
-    isoStats = null;
+  if (!isoStats) {
+    isoStats = (async () => {
+      const vol = await volumeData.load();
+      if (!vol) throw new Error('Volume not available');
+      const stats = await computeHistogramStats(vol);
+      const p = stats.percentiles;
+      logEvent(`Volume stats: ${stats.min.toFixed(2)}–${stats.max.toFixed(2)} °C, p50 ${p.p50.toFixed(2)} °C, p95 ${p.p95.toFixed(2)} °C`);
+      return stats;
+    })().catch(e => {
+      console.warn('Failed to compute volume statistics.', e);
+      isoStats = null;
+      return null;
+    });
   }
   return isoStats;
 }
@@ -294,19 +335,34 @@ function grayForFolder(folder) {
 }
 
 /**
- * Applies neutral material styling to mesh objects
+ * Applies neutral material styling to mesh objects in the component's appearance mode
+ * (solid parts show the surface heat map when it is enabled)
  * PCB layers get special polygon offset to prevent z-fighting
  */
 function applyMaterialBias(folder, obj) {
   if (!obj.isMesh) return;
 
   const baseColor = grayForFolder(folder);
-  const mat = new THREE.MeshStandardMaterial({
+  const mode = appearance?.getMode(folder) ?? 'Solid';
+  const clippingPlanes = clipping?.planes ?? null;
+  const mat = createAppearanceMaterial(mode, {
+    color: baseColor,
+    clippingPlanes,
+    opacity: appearance?.getOpacity() ?? 0.15
+  }) || (surfaceHeat?.isEnabled()
+    ? surfaceHeat.createMaterial(folder, { color: baseColor, clippingPlanes })
+    : null
+  ) || new THREE.MeshStandardMaterial({
     color: baseColor,
     flatShading: true,
     metalness: 0.0,
-    roughness: 0.95
+    roughness: 0.95,
+    clippingPlanes
   });
+  setEdgeLines(obj, mode === 'Ghost', { color: baseColor, clippingPlanes });
+
+  // See-through parts neither hide internal components nor stop the volume rays
+  if (loadedModels[folder]) loadedModels[folder].seeThrough = mode !== 'Solid';
 
   // Special rendering order for layered components
   const isPCB = (folder === 'pcb_front' || folder === 'pcb_base');
@@ -324,21 +380,56 @@ function applyMaterialBias(folder, obj) {
     obj.renderOrder = 10;
   }
 
+  if (obj.userData?.__folder) obj.material?.dispose?.();   // Replacing a material made here
   obj.material = mat;
   obj.userData = obj.userData || {};
   obj.userData.__folder = folder;
 }
 
+/**
+ * Reapplies materials to one loaded model (after an appearance change)
+ */
+function reapplyLook(folder) {
+  const obj = loadedModels[folder]?.mesh;
+  if (!obj) return;
+  obj.traverse(n => {
+    if (n.isMesh) applyMaterialBias(folder, n);
+  });
+}
+
 /**
  * Reapplies materials to all loaded models (useful after style changes)
  */
 function reapplyLookToAllCAD() {
-  Object.entries(loadedModels).forEach(([folder, entry]) => {
-    const obj = entry?.mesh;
-    if (!obj) return;
-    obj.traverse(n => {
-      if (n.isMesh) applyMaterialBias(folder, n);
-    });
+  Object.keys(loadedModels).forEach(reapplyLook);
+}
+
+// =============================================================================
+// COMPONENT VISIBILITY
+// =============================================================================
+
+/**
+ * Sets a component's visibility (the checkbox state honored by the render loop)
+ */
+function setVis(name, v) {
+  const model = loadedModels[name];
+  if (model?.mesh) {
+    model.visible = v;
+    model.mesh.visible = v;
+    if (model.bboxHelper) {
+      model.bboxHelper.visible = showBBoxes && v;
+    }
+  }
+}
+
+/**
+ * Refreshes the visibility checkboxes after components were shown/hidden programmatically.
+ * A grouped toggle (e.g. Chips) is ticked only while all of its components are visible.
+ */
+function syncComponentToggles() {
+  componentToggles.forEach(t => {
+    t.obj.on = t.names.every(n => loadedModels[n]?.visible ?? true);
+    t.ctrl.updateDisplay?.();
   });
 }
 
@@ -355,6 +446,7 @@ function buildPanels() {
   // Clean up existing panels
   try { if (meshGui?.destroy) meshGui.destroy(); } catch {}
   try { if (heatGui?.destroy) heatGui.destroy(); } catch {}
+  try { if (toolsGui?.destroy) toolsGui.destroy(); } catch {}
 
   // === MESH VISIBILITY PANEL ===
   meshGui = new GUI({ width: 310 });
@@ -369,17 +461,7 @@ function buildPanels() {
     if (titleEl) titleEl.textContent = 'Mesh Visibility Controls';
   } catch {}
 
-  // Helper to set component visibility
-  const setVis = (name, v) => {
-    const model = loadedModels[name];
-    if (model?.mesh) {
-      model.visible = v;
-      model.mesh.visible = v;
-      if (model.bboxHelper) {
-        model.bboxHelper.visible = showBBoxes && v;
-      }
-    }
-  };
+  componentToggles = [];
 
   // Bounding box toggle
   const bboxObj = { on: false };
@@ -400,17 +482,19 @@ function buildPanels() {
 
   // Screen (formerly 'display')
   const displayObj = { on: loadedModels['display']?.visible ?? true };
-  componentsFolder.add(displayObj, 'on')
+  const displayCtrl = componentsFolder.add(displayObj, 'on')
     .name('Screen')
     .onChange(v => setVis('display', v));
+  componentToggles.push({ names: ['display'], obj: displayObj, ctrl: displayCtrl });
 
   // Enclosure and Battery
   ['enclusure', 'battery'].forEach(key => {
     const label = key === 'enclusure' ? 'Enclosure' : 'Battery';
     const obj = { on: loadedModels[key]?.visible ?? true };
-    componentsFolder.add(obj, 'on')
+    const ctrl = componentsFolder.add(obj, 'on')
       .name(label)
       .onChange(v => setVis(key, v));
+    componentToggles.push({ names: [key], obj, ctrl });
   });
 
   // Chips (unified toggle)
@@ -418,18 +502,20 @@ function buildPanels() {
   const chipsObj = { 
     on: chipNames.every(n => loadedModels[n]?.visible ?? true) 
   };
-  componentsFolder.add(chipsObj, 'on')
+  const chipsCtrl = componentsFolder.add(chipsObj, 'on')
     .name('Chips')
     .onChange(v => chipNames.forEach(n => setVis(n, v)));
+  componentToggles.push({ names: chipNames, obj: chipsObj, ctrl: chipsCtrl });
 
   // Thermal components (unified toggle)
   const thermNames = ['thermal_pipe1', 'thermal_pipe2', 'thermal_speaker', 'thermal_together'];
   const thermObj = { 
     on: thermNames.every(n => loadedModels[n]?.visible ?? true) 
   };
-  componentsFolder.add(thermObj, 'on')
+  const thermCtrl = componentsFolder.add(thermObj, 'on')
     .name('Thermal Mgmt and Audio')
     .onChange(v => thermNames.forEach(n => setVis(n, v)));
+  componentToggles.push({ names: thermNames, obj: thermObj, ctrl: thermCtrl });
 
   // === PCB AND LAYERS SUBFOLDER ===
   const pcbFolder = componentsFolder.addFolder('PCB and Layers');
@@ -438,9 +524,10 @@ function buildPanels() {
   ['pcb_base', 'pcb_front'].forEach(key => {
     const label = key === 'pcb_base' ? 'PCB Base' : 'PCB Front';
     const obj = { on: loadedModels[key]?.visible ?? true };
-    pcbFolder.add(obj, 'on')
+    const ctrl = pcbFolder.add(obj, 'on')
       .name(label)
       .onChange(v => setVis(key, v));
+    componentToggles.push({ names: [key], obj, ctrl });
   });
 
   // Layers (sections in reverse order for UI clarity)
@@ -448,9 +535,10 @@ function buildPanels() {
   sectionsRev.forEach((name, idx) => {
     if (!GLB_FOLDERS.includes(name)) return;
     const obj = { on: loadedModels[name]?.visible ?? true };
-    pcbFolder.add(obj, 'on')
+    const ctrl = pcbFolder.add(obj, 'on')
       .name(`Layer ${idx + 1}`)
       .onChange(v => setVis(name, v));
+    componentToggles.push({ names: [name], obj, ctrl });
   });
 
   // Open folders by default
@@ -458,6 +546,89 @@ function buildPanels() {
   componentsFolder.open();
   pcbFolder.open();
 
+  try {
+    appearance = setupAppearance({
+      gui: meshGui,
+      components: GLB_FOLDERS,
+      onChange: (names) => names.forEach(reapplyLook)
+    });
+  } catch (e) {
+    console.warn('Appearance setup failed', e);
+  }
+
+  try {
+    exploded = setupExplodedView({
+      gui: meshGui,
+      getModels: () => loadedModels,
+      getBBoxIndex: () => bboxIndex,
+      setVolumeOffset: (v) => {
+        raymarch?.setOffset(v);
+        runtimeIso?.setOffset(v);
+        slices?.setOffset?.(v);
+      }
+    });
+  } catch (e) {
+    console.warn('Exploded view setup failed', e);
+  }
+
+  // === ANALYSIS TOOLS PANEL (left side) ===
+  toolsGui = new GUI({ width: 290 });
+  toolsGui.domElement.style.position = 'absolute';
+  toolsGui.domElement.style.top = '20px';
+  toolsGui.domElement.style.left = '20px';
+  toolsGui.domElement.style.right = 'auto';
+  toolsGui.domElement.style.zIndex = '300';
+
+  try {
+    const titleEl = toolsGui.domElement.querySelector('.title');
+    if (titleEl) titleEl.textContent = 'Analysis Tools';
+  } catch {}
+
+  try {
+    clipping = setupClipping({
+      gui: toolsGui,
+      scene,
+      camera,
+      renderer,
+      controls,
+      getBounds: getLoadedBounds
+    });
+  } catch (e) {
+    console.warn('Clipping setup failed', e);
+  }
+
+  try {
+    bookmarks = setupCameraBookmarks({
+      gui: toolsGui,
+      camera,
+      controls,
+      getBounds: getLoadedBounds
+    });
+  } catch (e) {
+    console.warn('Camera bookmarks setup failed', e);
+  }
+
+  try {
+    setupFocusIsolate({
+      gui: toolsGui,
+      camera,
+      controls,
+      renderer,
+      picker,
+      getModels: () => loadedModels,
+      getBBoxIndex: () => bboxIndex,
+      getClipPlanes: () => clipping?.planes,
+      setVisible: (name, v) => {
+        setVis(name, v);
+        syncComponentToggles();
+      },
+      setGhost: (name, on) => appearance?.setOverride(name, on ? 'Ghost' : null),
+      bookmarks
+    });
+  } catch (e) {
+    console.warn('Focus/isolate setup failed', e);
+  }
+
   // === HEAT VISUALIZATION PANEL ===
   heatGui = new GUI({ width: 310 });
   heatGui.domElement.style.position = 'absolute';
@@ -487,21 +658,45 @@ function buildPanels() {
   // Setup heat visualization modules
   try {
     const heatMapFolder = heatGui.addFolder('Heat Map');
-    setupVolumeRaymarch({ 
+    raymarch = setupVolumeRaymarch({ 
       gui: heatMapFolder, 
       scene, 
       renderer, 
-      volumeBasePath: './data/volume/', 
+      volumeData, 
       getStats: loadIsoStats,
+      getOccluders: () => Object.values(loadedModels).filter(e => !e?.seeThrough).map(e => e?.mesh).filter(Boolean),
+      getClipPlanes: () => clipping?.planes,
       wrapInFolder: false 
     });
 
     const isoFolder = heatGui.addFolder('Isosurfaces');
-    setupRuntimeIso({ 
+    runtimeIso = setupRuntimeIso({ 
       gui: isoFolder, 
       scene, 
       getStats: loadIsoStats, 
-      volumeBasePath: './data/volume/' 
+      volumeData,
+      getClipPlanes: () => clipping?.planes
+    });
+
+    // Shown only for transient datasets (volume.json "timesteps")
+    timeline = setupTimeline({ gui: heatGui, volumeData });
+
+    // Restored in this order: window/opacity, isosurfaces (at their timesteps), displayed frame
+    viewState.register('heat', {
+      get: () => raymarch.getViewState(),
+      set: (v) => raymarch.applyViewState(v)
+    });
+    viewState.register('iso', {
+      get: () => runtimeIso.getViewState(),
+      set: (v) => runtimeIso.applyViewState(v)
+    });
+    viewState.register('frame', {
+      get: () => (volumeData.getTimesteps().length > 1 ? timeline.getFrame() : undefined),
+      set: async (v) => {
+        if (!isFinite(v)) return;
+        await volumeData.load();
+        await timeline.setFrame(v);
+      }
     });
 
     heatMapFolder.open();
@@ -510,6 +705,149 @@ function buildPanels() {
     console.warn('Heat panel setup failed', e);
   }
 
+  // Thermal-camera coloring of the CAD surfaces, sharing the raymarch texture and colormap
+  try {
+    surfaceHeat = setupSurfaceHeat({
+      gui: heatGui,
+      raymarch,
+      volumeData,
+      getOffset: (name) => exploded?.getOffset(name),
+      onChange: reapplyLookToAllCAD
+    });
+  } catch (e) {
+    console.warn('Surface heat map setup failed', e);
+  }
+
+  try {
+    legend = setupColorLegend({
+      gui: heatGui,
+      renderer,
+      raymarch,
+      surfaceHeat,
+      getIsoMeshes: () => runtimeIso?.getMeshes?.() || []
+    });
+  } catch (e) {
+    console.warn('Legend setup failed', e);
+  }
+
+  // Slice panes reuse the raymarch volume texture, window and colormap
+  try {
+    slices = setupSliceViews({ gui: toolsGui, scene, renderer, raymarch, volumeData });
+  } catch (e) {
+    console.warn('Slice views setup failed', e);
+  }
+
+  try {
+    setupProbe({
+      gui: toolsGui,
+      scene,
+      picker,
+      labels,
+      getModels: () => loadedModels,
+      getIsoMeshes: () => runtimeIso?.getMeshes?.() || [],
+      getClipPlanes: () => clipping?.planes,
+      getPartOffset: (name) => exploded?.getOffset(name),
+      getVolumeOffset: () => raymarch?.getOffset?.(),
+      volumeData
+    });
+  } catch (e) {
+    console.warn('Probe setup failed', e);
+  }
+
+  try {
+    setupMeasure({
+      gui: toolsGui,
+      scene,
+      camera,
+      renderer,
+      picker,
+      labels,
+      components: GLB_FOLDERS,
+      getModels: () => loadedModels,
+      getBBoxIndex: () => bboxIndex,
+      getClipPlanes: () => clipping?.planes
+    });
+  } catch (e) {
+    console.warn('Measure setup failed', e);
+  }
+
+  try {
+    setupAnnotations({
+      gui: toolsGui,
+      scene,
+      camera,
+      picker,
+      labels,
+      getModels: () => loadedModels,
+      getBBoxIndex: () => bboxIndex,
+      getClipPlanes: () => clipping?.planes,
+      getVolumeOffset: () => raymarch?.getOffset?.(),
+      volumeData,
+      bookmarks
+    });
+  } catch (e) {
+    console.warn('Annotations setup failed', e);
+  }
+
+  try {
+    setupComponentStats({
+      gui: toolsGui,
+      components: GLB_FOLDERS,
+      getBBoxIndex: () => bboxIndex,
+      getModels: () => loadedModels,
+      getPartOffset: (name) => exploded?.getOffset(name),
+      volumeData
+    });
+  } catch (e) {
+    console.warn('Component stats setup failed', e);
+  }
+
+  // === SHARE VIEW ===
+  const shareFolder = toolsGui.addFolder('Share View');
+  const shareObj = {
+    copyLink: async () => {
+      const link = viewState.getLink();
+      try {
+        await navigator.clipboard.writeText(link);
+        logEvent('View link copied to clipboard');
+      } catch {
+        window.prompt('Copy this link:', link);
+      }
+    }
+  };
+  const copyCtrl = shareFolder.add(shareObj, 'copyLink').name('Copy link');
+  setTooltip(copyCtrl, 'Copy a link that reopens this camera, visibility, heat map settings and isosurfaces');
+  shareFolder.close();
+
+  try {
+    setupImageExport({
+      gui: toolsGui,
+      scene,
+      camera,
+      renderer,
+      runPreRender,
+      legend,
+      volumeData
+    });
+  } catch (e) {
+    console.warn('Image export setup failed', e);
+  }
+
+  try {
+    setupVideoRecorder({
+      gui: toolsGui,
+      camera,
+      controls,
+      renderer,
+      renderFrame,
+      setHold: (v) => { holdFrames = v; },
+      waitForFrame: () => timeline?.whenReady?.(),
+      bookmarks
+    });
+  } catch (e) {
+    console.warn('Video recorder setup failed', e);
+  }
+
   ensureLogGui();
   layoutRightPanels();
 }
@@ -546,12 +884,52 @@ const { scene, camera, renderer, controls } = createScene(
   document.getElementById('canvas-container')
 );
 
+// Shared canvas picking (click detection + raycasting) for interactive tools
+const picker = createPicker({ camera, renderer });
+
+// Temperature volume, downloaded once and shared by all heat/analysis modules
+const volumeData = createVolumeData({ basePath: VOLUME_BASE_PATH });
+volumeData.onProgress(updateVolumeLoadingUI);
+volumeData.onChange(() => { isoStats = null; });
+
 // Expose utility functions for modules
 try {
   window.__registerUpdater = registerUpdater;
+  window.__registerPreRender = registerPreRender;
+  window.__registerPostRender = registerPostRender;
   window.logEvent = logEvent;
 } catch {}
 
+// Created after the hooks are exposed: the label layer registers a post-render hook
+const labels = createLabelLayer({ camera, renderer });
+
+// Shareable view state (#view=... in the URL); heat sections are registered in buildPanels
+const viewState = createViewState();
+let pendingViewState = viewState.readHash();   // Applied once the models have loaded
+viewState.register('camera', {
+  get: () => ({
+    position: camera.position.toArray().map(v => roundSig(v)),
+    target: controls.target.toArray().map(v => roundSig(v))
+  }),
+  set: ({ position, target } = {}) => {
+    const valid = (a) => Array.isArray(a) && a.length === 3 && a.every(Number.isFinite);
+    if (!valid(position) || !valid(target)) return;
+    camera.position.fromArray(position);
+    controls.target.fromArray(target);
+    camera.updateProjectionMatrix();
+    controls.update();
+  }
+});
+viewState.register('hidden', {
+  get: () => Object.keys(loadedModels).filter(n => loadedModels[n].visible === false),
+  set: (hidden) => {
+    if (!Array.isArray(hidden)) return;
+    Object.keys(loadedModels).forEach(n => setVis(n, !hidden.includes(n)));
+    syncComponentToggles();
+  }
+});
+viewState.startSync();
+
 // Initialize panels (must happen after loadedModels is declared)
 buildPanels();
 
@@ -577,12 +955,57 @@ function updateLoadingUI(name) {
       loadingScreen.style.display = 'none';
       loadBBoxes().then(() => {
         buildBBoxesForLoadedModels();
+        exploded?.refresh();
         fitCameraToLoadedBounds();
+        restoreStartupView();
       });
     }, 500);
   }
 }
 
+/**
+ * Applies the view state from the startup link, then keeps the URL in sync
+ */
+function restoreStartupView() {
+  const state = pendingViewState;
+  pendingViewState = null;
+  if (!state) {
+    viewState.setSyncEnabled(true);
+    return;
+  }
+  logEvent('Restoring shared view from link');
+  viewState.restore(state).finally(() => viewState.setSyncEnabled(true));
+}
+
+/**
+ * Shows volume download progress on the loading screen.
+ * While GLB models are still loading, their progress keeps the screen.
+ */
+function updateVolumeLoadingUI({ loaded, total, done }) {
+  if (loadedCount < totalToLoad) return;
+  const title = loadingScreen.querySelector('h2');
+
+  if (done) {
+    loadingScreen.style.display = 'none';
+    if (title) title.textContent = 'Loading GLB Models...';
+    return;
+  }
+
+  if (title) title.textContent = 'Loading Temperature Volume...';
+  loadingScreen.style.display = 'flex';
+  const mb = (n) => (n / (1024 * 1024)).toFixed(1);
+  if (total > 0) {
+    const percent = Math.round((loaded / total) * 100);
+    progressBar.textContent = percent + '%';
+    progressBar.style.width = percent + '%';
+    loadingStatus.textContent = `volume.bin: ${mb(loaded)} / ${mb(total)} MB`;
+  } else {
+    progressBar.textContent = '';
+    progressBar.style.width = '100%';
+    loadingStatus.textContent = loaded ? `volume.bin: ${mb(loaded)} MB` : 'volume.json';
+  }
+}
+
 /**
  * Loads all GLB models with LOD support
  */
@@ -604,6 +1027,7 @@ function loadGLBModels() {
       mesh: lodObj,
       visible: true,
       lodLevels: [],
+      seeThrough: false,   // Translucent (e.g. ghosted): does not occlude internal parts
       _lastLodIndex: -1,
       _wasInFrustum: undefined
     };
@@ -677,18 +1101,18 @@ function buildBBoxesForLoadedModels() {
 }
 
 /**
- * Fits camera to encompass all loaded models
+ * Computes the combined bounding box of all loaded models from the bbox index
+ * Returns null if no bounds are available yet
  */
-function fitCameraToLoadedBounds() {
-  if (!bboxIndex?.items) return;
+function getLoadedBounds() {
+  if (!bboxIndex?.items) return null;
 
   const names = Object.keys(loadedModels);
-  if (names.length === 0) return;
+  if (names.length === 0) return null;
 
-  let min = new THREE.Vector3(+Infinity, +Infinity, +Infinity);
-  let max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
+  const min = new THREE.Vector3(+Infinity, +Infinity, +Infinity);
+  const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
 
-  // Compute overall bounding box
   for (const name of names) {
     const item = bboxIndex.items[name];
     if (!item?.bbox) continue;
@@ -700,8 +1124,18 @@ function fitCameraToLoadedBounds() {
     max.max(new THREE.Vector3(bmax[0], bmax[1], bmax[2]));
   }
 
-  if (!isFinite(min.x) || !isFinite(max.x)) return;
+  if (!isFinite(min.x) || !isFinite(max.x)) return null;
+  return new THREE.Box3(min, max);
+}
 
+/**
+ * Fits camera to encompass all loaded models
+ */
+function fitCameraToLoadedBounds() {
+  const bounds = getLoadedBounds();
+  if (!bounds) return;
+
+  const { min, max } = bounds;
   const size = new THREE.Vector3().subVectors(max, min);
   const center = new THREE.Vector3().addVectors(min, max).multiplyScalar(0.5);
   const radius = size.length() * 0.5;
@@ -731,11 +1165,20 @@ function fitCameraToLoadedBounds() {
 
 /**
  * Main animation loop
- * Handles LOD updates, frustum culling, and visibility logic
+ * Skipped while the video recorder renders frames on its own clock
  */
 function animate() {
   requestAnimationFrame(animate);
+  if (holdFrames) return;
+  renderFrame(performance.now());
+}
 
+/**
+ * Renders one frame
+ * Handles LOD updates, frustum culling, and visibility logic
+ * @param {number} time - Clock passed to the updaters (ms)
+ */
+function renderFrame(time) {
   // Ensure full viewport rendering
   const fullSize = renderer.getSize(new THREE.Vector2());
   renderer.setScissorTest(false);
@@ -743,8 +1186,7 @@ function animate() {
 
   // Run per-frame updaters (e.g., auto volume LOD)
   try {
-    const now = performance.now();
-    runUpdaters({ camera, time: now });
+    runUpdaters({ camera, time });
   } catch {}
 
   // Setup frustum for culling checks
@@ -756,11 +1198,13 @@ function animate() {
   );
   frustum.setFromProjectionMatrix(projScreenMatrix);
 
-  // Check enclosure visibility for occlusion logic
+  // Check enclosure visibility for occlusion logic (see-through parts don't occlude)
   const enclosureVisible = loadedModels['enclusure']?.mesh?.visible && 
-                          loadedModels['enclusure']?.visible !== false;
+                          loadedModels['enclusure']?.visible !== false &&
+                          !loadedModels['enclusure']?.seeThrough;
   const screenVisible = loadedModels['display']?.mesh?.visible && 
-                       loadedModels['display']?.visible !== false;
+                       loadedModels['display']?.visible !== false &&
+                       !loadedModels['display']?.seeThrough;
 
   Object.entries(loadedModels).forEach(([name, entry]) => {
     if (!entry?.mesh) return;
@@ -826,7 +1270,8 @@ function animate() {
     let blocked = false;
 
     // Occlusion logic: hide internal components when enclosure is visible and camera is outside
-    if (checkboxOn && enclosureVisible && screenVisible &&
+    // (not while the assembly is exploded: parts no longer sit inside the enclosure)
+    if (checkboxOn && enclosureVisible && screenVisible && !exploded?.isExploded() &&
         !name.startsWith('section') && name !== 'enclusure' &&
         bboxIndex?.items?.['enclusure']?.bbox && bboxIndex?.items?.[name]?.bbox) {
       
@@ -866,7 +1311,17 @@ function animate() {
     }
   });
 
+  // Run pre-render hooks (e.g., CAD depth pass for the volume raymarch)
+  try {
+    runPreRender({ camera, renderer, scene });
+  } catch {}
+
   renderer.render(scene, camera);
+
+  // Run post-render hooks (e.g., 2D slice panes drawn over the 3D view)
+  try {
+    runPostRender({ camera, renderer, scene });
+  } catch {}
 }
 
 // =============================================================================
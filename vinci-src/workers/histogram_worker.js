@@ -0,0 +1,80 @@
+// Histogram and percentile statistics for uint8 / uint16 / float32 volumes.
+// Input: data (ArrayBuffer), dtype, valueRange [min, max].
+// Output: { counts: Uint32Array(256), binMin, binMax, total, min, max, mean, std, percentiles } in physical units.
+// Percentiles use one bin per stored level for uint8 and 65536 bins over valueRange otherwise.
+
+import { dtypeInfo, sampleDecoder } from '../core/volume_sampling.js';
+
+const PERCENTILES = { p1: 0.01, p5: 0.05, p10: 0.10, p25: 0.25, p50: 0.50, p75: 0.75, p90: 0.90, p95: 0.95, p975: 0.975, p99: 0.99 };
+const DISPLAY_BINS = 256;
+
+self.onmessage = (ev) => {
+  const { data, dtype, valueRange } = ev.data || {};
+  try {
+    if (!data) {
+      self.postMessage({ error: 'No data' });
+      return;
+    }
+    const { ArrayType } = dtypeInfo(dtype);
+    const vol = new ArrayType(data);
+    const toPhys = sampleDecoder(dtype, valueRange);
+    const vmin = valueRange && valueRange[0] != null ? valueRange[0] : 0;
+    const vmax = valueRange && valueRange[1] != null ? valueRange[1] : 1;
+
+    // Fine histogram over [vmin, vmax] in physical units
+    const nBins = dtype === 'uint8' || !dtype ? 256 : 65536;
+    const binScale = (nBins - 1) / Math.max(1e-12, vmax - vmin);
+    const binValue = (i) => vmin + i / binScale;
+    const fine = new Uint32Array(nBins);
+
+    let total = 0, sum = 0, sumSq = 0, lo = Infinity, hi = -Infinity;
+    for (let i = 0; i < vol.length; i++) {
+      const v = toPhys(vol[i]);
+      if (!isFinite(v)) continue;
+      let b = Math.round((v - vmin) * binScale);
+      b = b < 0 ? 0 : b >= nBins ? nBins - 1 : b;
+      fine[b]++;
+      sum += v;
+      sumSq += v * v;
+      if (v < lo) lo = v;
+      if (v > hi) hi = v;
+      total++;
+    }
+    const mean = total ? sum / total : NaN;
+    const std = total ? Math.sqrt(Math.max(0, sumSq / total - mean * mean)) : NaN;
+
+    // Percentiles: first bin whose cumulative count reaches q * total
+    const percentiles = {};
+    const keys = Object.keys(PERCENTILES);
+    let acc = 0, k = 0;
+    for (let i = 0; i < nBins && k < keys.length; i++) {
+      acc += fine[i];
+      while (k < keys.length && acc >= Math.ceil(PERCENTILES[keys[k]] * total)) {
+        percentiles[keys[k]] = Math.min(hi, Math.max(lo, binValue(i)));
+        k++;
+      }
+    }
+    while (k < keys.length) percentiles[keys[k++]] = hi;
+
+    // Display histogram: 256 levels over [vmin, vmax]
+    const counts = new Uint32Array(DISPLAY_BINS);
+    const ratio = (DISPLAY_BINS - 1) / (nBins - 1);
+    for (let i = 0; i < nBins; i++) {
+      if (fine[i]) counts[Math.round(i * ratio)] += fine[i];
+    }
+
+    self.postMessage({
+      counts,
+      binMin: vmin,
+      binMax: vmax,
+      total,
+      min: lo,
+      max: hi,
+      mean,
+      std,
+      percentiles
+    }, [counts.buffer]);
+  } catch (e) {
+    self.postMessage({ error: String(e && e.message || e) });
+  }
+};
@@ -0,0 +1,166 @@
+// Per-component temperature statistics for uint8 / uint16 / float32 volumes.
+// Input: dims, spacing, origin, valueRange, dtype, data (ArrayBuffer),
+//        components: [{ name, min: [x,y,z], max: [x,y,z], triangles?: Float32Array (world xyz, 9 per tri) }].
+// Output: { results: [{ name, region, voxels, min, max, mean, p95 }] } in physical units.
+
+import { dtypeInfo, sampleDecoder } from '../core/volume_sampling.js';
+
+function clamp(v, a, b) {
+  return v < a ? a : v > b ? b : v;
+}
+
+// Voxel index range covered by a world-space box (at least one voxel per axis)
+function voxelRange(min, max, origin, spacing, dims) {
+  const lo = [0, 0, 0], hi = [0, 0, 0];
+  for (let a = 0; a < 3; a++) {
+    const f0 = (min[a] - origin[a]) / spacing[a];
+    const f1 = (max[a] - origin[a]) / spacing[a];
+    let i0 = Math.ceil(f0 - 1e-6);
+    let i1 = Math.floor(f1 + 1e-6);
+    if (i0 > i1) i0 = i1 = Math.round((f0 + f1) / 2); // thinner than one voxel
+    lo[a] = clamp(i0, 0, dims[a] - 1);
+    hi[a] = clamp(i1, 0, dims[a] - 1);
+  }
+  return { lo, hi };
+}
+
+// Inside/outside mask over the box range by ray parity along +Z through voxel-center columns
+function voxelizeMesh(tris, lo, hi, origin, spacing) {
+  const nx = hi[0] - lo[0] + 1, ny = hi[1] - lo[1] + 1, nz = hi[2] - lo[2] + 1;
+  const crossings = new Map(); // column index -> z crossings (world)
+
+  for (let t = 0; t < tris.length; t += 9) {
+    const ax = tris[t], ay = tris[t + 1], az = tris[t + 2];
+    const bx = tris[t + 3], by = tris[t + 4], bz = tris[t + 5];
+    const cx = tris[t + 6], cy = tris[t + 7], cz = tris[t + 8];
+
+    const det = (by - cy) * (ax - cx) + (cx - bx) * (ay - cy);
+    if (Math.abs(det) < 1e-18) continue; // triangle parallel to Z
+
+    const i0 = Math.max(lo[0], Math.ceil((Math.min(ax, bx, cx) - origin[0]) / spacing[0]));
+    const i1 = Math.min(hi[0], Math.floor((Math.max(ax, bx, cx) - origin[0]) / spacing[0]));
+    const j0 = Math.max(lo[1], Math.ceil((Math.min(ay, by, cy) - origin[1]) / spacing[1]));
+    const j1 = Math.min(hi[1], Math.floor((Math.max(ay, by, cy) - origin[1]) / spacing[1]));
+
+    for (let j = j0; j <= j1; j++) {
+      const py = origin[1] + j * spacing[1];
+      for (let i = i0; i <= i1; i++) {
+        const px = origin[0] + i * spacing[0];
+        const w0 = ((by - cy) * (px - cx) + (cx - bx) * (py - cy)) / det;
+        const w1 = ((cy - ay) * (px - cx) + (ax - cx) * (py - cy)) / det;
+        const w2 = 1 - w0 - w1;
+        if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+        const z = w0 * az + w1 * bz + w2 * cz;
+        const col = (j - lo[1]) * nx + (i - lo[0]);
+        let list = crossings.get(col);
+        if (!list) crossings.set(col, list = []);
+        list.push(z);
+      }
+    }
+  }
+
+  const mask = new Uint8Array(nx * ny * nz);
+  let inside = 0;
+  crossings.forEach((list, col) => {
+    if (list.length < 2) return;
+    list.sort((a, b) => a - b);
+    let below = 0;
+    for (let k = 0; k < nz; k++) {
+      const pz = origin[2] + (lo[2] + k) * spacing[2];
+      while (below < list.length && list[below] <= pz) below++;
+      if (below & 1) {
+        mask[k * nx * ny + col] = 1;
+        inside++;
+      }
+    }
+  });
+  return { mask, inside, nx, ny };
+}
+
+self.onmessage = (ev) => {
+  const { dims, spacing, origin, valueRange, dtype, data, components } = ev.data || {};
+  try {
+    if (!dims || !data || !spacing || !components) {
+      self.postMessage({ results: [] });
+      return;
+    }
+    const X = dims[0] | 0, Y = dims[1] | 0;
+    const vol = new (dtypeInfo(dtype).ArrayType)(data);
+    const org = origin || [0, 0, 0];
+    const vmin = valueRange && valueRange[0] != null ? valueRange[0] : 0;
+    const vmax = valueRange && valueRange[1] != null ? valueRange[1] : 1;
+    const toPhys = sampleDecoder(dtype, valueRange);
+
+    // Histogram bins over [vmin, vmax]: one per stored level for uint8, 65536 otherwise
+    const nBins = dtype === 'uint8' || !dtype ? 256 : 65536;
+    const binScale = (nBins - 1) / Math.max(1e-12, vmax - vmin);
+
+    const results = [];
+    for (let c = 0; c < components.length; c++) {
+      const comp = components[c];
+      const { lo, hi } = voxelRange(comp.min, comp.max, org, spacing, dims);
+
+      let region = 'bbox';
+      let vox = null;
+      if (comp.triangles && comp.triangles.length >= 9) {
+        vox = voxelizeMesh(comp.triangles, lo, hi, org, spacing);
+        if (vox.inside > 0) region = 'mesh';
+        else vox = null; // open or sub-voxel mesh: fall back to the bbox
+      }
+
+      // Histogram gives p95; min/max/mean are tracked exactly
+      const hist = new Uint32Array(nBins);
+      let count = 0, sum = 0, vLo = Infinity, vHi = -Infinity;
+      for (let z = lo[2]; z <= hi[2]; z++) {
+        for (let y = lo[1]; y <= hi[1]; y++) {
+          const rowOff = z * X * Y + y * X;
+          for (let x = lo[0]; x <= hi[0]; x++) {
+            if (vox) {
+              const m = (z - lo[2]) * vox.nx * vox.ny + (y - lo[1]) * vox.nx + (x - lo[0]);
+              if (!vox.mask[m]) continue;
+            }
+            const v = toPhys(vol[rowOff + x]);
+            if (!isFinite(v)) continue;
+            let b = Math.round((v - vmin) * binScale);
+            b = b < 0 ? 0 : b >= nBins ? nBins - 1 : b;
+            hist[b]++;
+            sum += v;
+            if (v < vLo) vLo = v;
+            if (v > vHi) vHi = v;
+            count++;
+          }
+        }
+      }
+
+      if (count === 0) {
+        results.push({ name: comp.name, region, voxels: 0, min: NaN, max: NaN, mean: NaN, p95: NaN });
+        self.postMessage({ progress: (c + 1) / components.length, name: comp.name });
+        continue;
+      }
+
+      let b95 = nBins - 1;
+      const target = Math.ceil(count * 0.95);
+      let acc = 0;
+      for (let i = 0; i < nBins; i++) {
+        acc += hist[i];
+        if (acc >= target) { b95 = i; break; }
+      }
+
+      results.push({
+        name: comp.name,
+        region,
+        voxels: count,
+        min: vLo,
+        max: vHi,
+        mean: sum / count,
+        p95: Math.min(vHi, Math.max(vLo, vmin + b95 / binScale))
+      });
+      self.postMessage({ progress: (c + 1) / components.length, name: comp.name });
+    }
+
+    self.postMessage({ results });
+  } catch (e) {
+    // On any error, return empty to avoid crashing the main thread
+    self.postMessage({ results: [], error: String(e && e.message || e) });
+  }
+};